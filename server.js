@@ -3,9 +3,13 @@ const { MongoClient, ObjectId, ServerApiVersion } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const session = require('express-session');
+const MongoStore = require('connect-mongo');
 const path = require('path');
 const multer = require('multer');
 const nodemailer = require('nodemailer');
+const pdfParse = require('pdf-parse');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
 const crypto = require('crypto');
 require('dotenv').config();
 
@@ -22,26 +26,49 @@ const client = new MongoClient(process.env.MONGODB_URI || 'mongodb://localhost:2
   }
 });
 
-// Email transporter configuration
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  host: 'smtp.gmail.com',
-  port: 587,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
+// Email transporter configuration, chosen with EMAIL_TRANSPORT:
+//   gmail (default) - Gmail using EMAIL_USER / EMAIL_PASS
+//   smtp            - any SMTP server at SMTP_HOST / SMTP_PORT, e.g. a local test inbox such as MailHog
+//   json            - nothing is delivered; useful for development and automated tests
+function createMailTransport() {
+  const kind = process.env.EMAIL_TRANSPORT || 'gmail';
+
+  if (kind === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
   }
-});
+
+  if (kind === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    host: 'smtp.gmail.com',
+    port: 587,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+}
+
+const transporter = createMailTransport();
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER;
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static('public'));
-app.use(express.static('.'));
+// Only the public site is served statically; uploads are streamed through access-checked routes
+app.use(express.static(path.join(__dirname, 'public')));
 
 // Session configuration
-app.use(session({
+const sessionOptions = {
   secret: process.env.SESSION_SECRET || 'cloud_domain_portal_secret_key_2025',
   resave: false,
   saveUninitialized: false,
@@ -50,7 +77,25 @@ app.use(session({
     maxAge: 24 * 60 * 60 * 1000, // 24 hours
     httpOnly: true
   }
-}));
+};
+const SESSION_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Sessions start in memory and move to MongoDB once connected (see connectToDatabase),
+// so the server still runs for development without a database
+let sessionMiddleware = session(sessionOptions);
+app.use((req, res, next) => sessionMiddleware(req, res, next));
+
+// Refresh last-seen details on signed-in sessions, at most once per interval to limit writes
+app.use((req, res, next) => {
+  const current = req.session;
+  if (current && (current.isAdmin || current.studentId || current.seniorId)) {
+    if (!current.lastSeenAt || Date.now() - new Date(current.lastSeenAt).getTime() > SESSION_SEEN_INTERVAL_MS) {
+      current.lastSeenAt = new Date();
+      current.ip = req.ip;
+    }
+  }
+  next();
+});
 
 // Set EJS as template engine
 app.set('view engine', 'ejs');
@@ -62,6 +107,16 @@ async function connectToDatabase() {
     await client.connect();
     await client.db("admin").command({ ping: 1 });
     db = client.db('cloud_portal');
+    sessionMiddleware = session({
+      ...sessionOptions,
+      store: MongoStore.create({
+        client: client,
+        dbName: 'cloud_portal',
+        collectionName: 'sessions',
+        stringify: false, // keep fields queryable so a user's sessions can be listed and revoked
+        touchAfter: SESSION_SEEN_INTERVAL_MS / 1000
+      })
+    });
     console.log('✅ Successfully connected to MongoDB database');
     await initializeDatabase();
   } catch (err) {
@@ -80,7 +135,7 @@ async function initializeDatabase() {
   
   try {
     // Create collections if they don't exist
-    const collections = ['students', 'documents', 'attendance', 'tasks', 'seniors', 'admin_otps', 'attendance_pdfs'];
+    const collections = ['students', 'documents', 'attendance', 'tasks', 'seniors', 'admin_otps', 'attendance_pdfs', 'assessments', 'assessment_attempts', 'tickets', 'student_password_resets', 'settings', 'notification_log', 'audit_log', 'api_refresh_tokens', 'mentoring_slots', 'mentoring_sessions', 'student_email_changes', 'login_throttle', 'email_queue', 'email_templates', 'announcements', 'announcement_reads', 'enquiries', 'attendance_corrections', 'attendance_disputes', 'subjects', 'timetable_slots', 'holidays', 'batches', 'departments', 'issued_documents'];
     
     for (const collectionName of collections) {
       const collectionExists = await db.listCollections({ name: collectionName }).hasNext();
@@ -93,24 +148,88 @@ async function initializeDatabase() {
     // Create indexes
     await db.collection('students').createIndex({ student_id: 1 }, { unique: true });
     await db.collection('students').createIndex({ email: 1 }, { unique: true });
+    await db.collection('students').createIndex({ batch_year: 1, department: 1 });
     await db.collection('attendance').createIndex({ student_id: 1, date: 1 });
+    await db.collection('attendance').createIndex({ date: -1, subject: 1, batch: 1 });
+    await db.collection('attendance_corrections').createIndex({ record_id: 1, created_at: -1 });
+    await db.collection('subjects').createIndex({ name: 1 }, { unique: true });
+    await db.collection('batches').createIndex({ code: 1 }, { unique: true });
+    await db.collection('issued_documents').createIndex({ code: 1 }, { unique: true });
+    await db.collection('batches').createIndex({ aliases: 1 });
+    await db.collection('departments').createIndex({ name: 1 }, { unique: true });
+    await db.collection('departments').createIndex({ keys: 1 });
+    await db.collection('timetable_slots').createIndex({ weekday: 1, batch: 1, start_time: 1 });
+    await db.collection('holidays').createIndex({ date: 1 });
+    await db.collection('attendance_disputes').createIndex({ status: 1, created_at: -1 });
+    await db.collection('attendance_disputes').createIndex({ student_id: 1, record_id: 1 });
     await db.collection('attendance_pdfs').createIndex({ date: 1, batch: 1 });
     await db.collection('admin_otps').createIndex({ email: 1 });
     await db.collection('admin_otps').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('student_password_resets').createIndex({ student_id: 1 });
+    await db.collection('student_password_resets').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('login_throttle').createIndex({ key: 1 }, { unique: true });
+    await db.collection('login_throttle').createIndex({ last_failure_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+    await db.collection('student_email_changes').createIndex({ token_hash: 1 }, { unique: true });
+    await db.collection('email_templates').createIndex({ key: 1 }, { unique: true });
+    await db.collection('announcements').createIndex({ pinned: -1, created_at: -1 });
+    await db.collection('enquiries').createIndex({ status: 1, created_at: -1 });
+    await db.collection('enquiries').createIndex({ ip: 1, created_at: -1 });
+    await db.collection('announcement_reads').createIndex({ announcement_id: 1, student_id: 1 }, { unique: true });
+    await db.collection('announcement_reads').createIndex({ student_id: 1 });
+    await db.collection('email_queue').createIndex({ status: 1, next_attempt_at: 1 });
+    // Sent messages are cleared after 30 days; failed ones stay in the delivery log until dealt with.
+    // Older databases have a TTL on created_at that would delete everything, so it is removed first.
+    if (await db.collection('email_queue').indexExists('created_at_1')) {
+      await db.collection('email_queue').dropIndex('created_at_1');
+    }
+    await db.collection('email_queue').createIndex(
+      { sent_at: 1 },
+      { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'sent' } }
+    );
+    await db.collection('student_email_changes').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('assessment_attempts').createIndex({ student_id: 1, started_at: -1 });
+    await db.collection('assessment_attempts').createIndex({ assessment_id: 1 });
+    await db.collection('tickets').createIndex({ student_id: 1, created_at: -1 });
+    await db.collection('tickets').createIndex({ status: 1, 'assigned_to.id': 1 });
+    await db.collection('tasks').createIndex({ student_id: 1, due_date: 1 });
+    await db.collection('tasks').createIndex({ assignment_id: 1 });
+    await db.collection('admin_users').createIndex({ email: 1 }, { unique: true });
+    await db.collection('seniors').createIndex({ email: 1 }, { unique: true });
+    await db.collection('mentoring_slots').createIndex({ senior_id: 1, start_at: 1 });
+    await db.collection('mentoring_sessions').createIndex({ student_id: 1, start_at: -1 });
+    await db.collection('mentoring_sessions').createIndex({ senior_id: 1, start_at: -1 });
+    await db.collection('api_refresh_tokens').createIndex({ jti: 1 }, { unique: true });
+    await db.collection('api_refresh_tokens').createIndex({ user_type: 1, user_id: 1 });
+    await db.collection('sessions').createIndex({ 'session.studentId': 1 }, { sparse: true });
+    await db.collection('sessions').createIndex({ 'session.seniorId': 1 }, { sparse: true });
+    await db.collection('sessions').createIndex({ 'session.adminId': 1 }, { sparse: true });
+    await db.collection('api_refresh_tokens').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('audit_log').createIndex({ created_at: -1 });
+    await db.collection('audit_log').createIndex({ action: 1, created_at: -1 });
+    await db.collection('audit_log').createIndex({ 'actor.id': 1, created_at: -1 });
+    await db.collection('audit_log').createIndex({ student_ids: 1, created_at: -1 });
+    await db.collection('notification_log').createIndex({ key: 1 }, { unique: true });
+    await db.collection('notification_log').createIndex({ type: 1, student_id: 1, cleared_at: 1 });
+    await db.collection('notification_log').createIndex({ created_at: -1 });
 
     // Insert sample admin user for testing
     const adminExists = await db.collection('admin_users').findOne({ email: process.env.ADMIN_EMAIL });
     if (!adminExists) {
       const hashedAdminPassword = await bcrypt.hash(process.env.ADMIN_PASSWORD, 10);
       await db.collection('admin_users').insertOne({
+        name: 'Admin',
         email: process.env.ADMIN_EMAIL,
         password: hashedAdminPassword,
-        role: 'admin',
+        role: 'super-admin',
+        active: true,
         created_at: new Date()
       });
       console.log('✅ Admin user created');
     }
 
+    // Admins created before roles existed had full access
+    await db.collection('admin_users').updateMany({ role: 'admin' }, { $set: { role: 'super-admin' } });
+
     // Insert sample seniors data
     const seniorsCount = await db.collection('seniors').countDocuments();
     if (seniorsCount === 0) {
@@ -157,6 +276,13 @@ async function initializeDatabase() {
       console.log('✅ Sample seniors data inserted');
     }
 
+    // Insert sample assessments
+    const assessmentsCount = await db.collection('assessments').countDocuments();
+    if (assessmentsCount === 0) {
+      await db.collection('assessments').insertMany(getSampleAssessments());
+      console.log('✅ Sample assessments inserted');
+    }
+
     // Insert sample student for testing
     const testStudentExists = await db.collection('students').findOne({ student_id: 'TEST001' });
     if (!testStudentExists) {
@@ -181,41 +307,929 @@ async function initializeDatabase() {
       console.log('✅ Test student created - ID: TEST001, Password: test123');
     }
 
+    // Batches and departments used to be free text; fold the spellings into managed records
+    const normalized = await normalizeStudentPlacements();
+    if (normalized.batches > 0 || normalized.departments > 0) {
+      console.log(`✅ Normalised ${normalized.batches} batch and ${normalized.departments} department spellings`);
+    }
+
     console.log('✅ Database initialization completed');
   } catch (error) {
     console.error('❌ Error initializing database:', error);
   }
 }
 
-// Utility function to send emails
-async function sendEmail(to, subject, html) {
+// Sample assessments inserted on first start
+function getSampleAssessments() {
+  const now = new Date();
+  return [
+    {
+      title: 'Beginner Level',
+      level: 'low',
+      description: 'Basic cloud computing concepts, fundamental AWS services, and introductory DevOps practices.',
+      topics: ['Cloud Computing Basics', 'AWS Core Services', 'Basic Networking', 'Security Fundamentals'],
+      time_limit_minutes: 15,
+      is_published: true,
+      questions: [
+        {
+          question: "What does 'Cloud Computing' mean?",
+          options: ['Computing using physical servers only', 'Delivery of computing services over the internet', 'Local network computing', 'Desktop computing'],
+          correct: 1
+        },
+        {
+          question: 'Which of the following is a major cloud service provider?',
+          options: ['Microsoft Office', 'Amazon Web Services (AWS)', 'Adobe Photoshop', 'Google Chrome'],
+          correct: 1
+        },
+        {
+          question: "What does 'IaaS' stand for?",
+          options: ['Internet as a Service', 'Infrastructure as a Service', 'Information as a Service', 'Integration as a Service'],
+          correct: 1
+        },
+        {
+          question: 'What is the main benefit of cloud computing?',
+          options: ['Higher hardware costs', 'Limited accessibility', 'Scalability and cost-effectiveness', 'Slower performance'],
+          correct: 2
+        },
+        {
+          question: 'Which deployment model allows multiple organizations to share cloud infrastructure?',
+          options: ['Private Cloud', 'Public Cloud', 'Community Cloud', 'Hybrid Cloud'],
+          correct: 2
+        }
+      ],
+      created_by: 'Admin',
+      created_at: now,
+      updated_at: now
+    },
+    {
+      title: 'Intermediate Level',
+      level: 'medium',
+      description: 'Advanced cloud services, multi-cloud strategies, and intermediate DevOps tools and practices.',
+      topics: ['Advanced AWS Services', 'Azure & GCP Integration', 'CI/CD Pipelines', 'Container Orchestration'],
+      time_limit_minutes: 15,
+      is_published: true,
+      questions: [
+        {
+          question: 'What is the primary purpose of AWS Lambda?',
+          options: ['Database management', 'Serverless computing', 'Network security', 'File storage'],
+          correct: 1
+        },
+        {
+          question: 'In DevOps, what does CI/CD stand for?',
+          options: ['Cloud Integration/Cloud Deployment', 'Continuous Integration/Continuous Deployment', 'Code Integration/Code Development', 'Container Integration/Container Deployment'],
+          correct: 1
+        },
+        {
+          question: 'Which AWS service is primarily used for content delivery?',
+          options: ['EC2', 'S3', 'CloudFront', 'RDS'],
+          correct: 2
+        },
+        {
+          question: 'What is Docker primarily used for?',
+          options: ['Database management', 'Containerization', 'Network monitoring', 'Code compilation'],
+          correct: 1
+        },
+        {
+          question: 'Which of the following is a Infrastructure as Code tool?',
+          options: ['Jenkins', 'Docker', 'Terraform', 'Git'],
+          correct: 2
+        }
+      ],
+      created_by: 'Admin',
+      created_at: now,
+      updated_at: now
+    },
+    {
+      title: 'Advanced Level',
+      level: 'high',
+      description: 'Expert-level cloud architecture, enterprise solutions, and advanced DevOps methodologies.',
+      topics: ['Cloud Architecture Design', 'Enterprise Solutions', 'Advanced Security', 'Performance Optimization'],
+      time_limit_minutes: 15,
+      is_published: true,
+      questions: [
+        {
+          question: 'In a microservices architecture, what is the primary challenge?',
+          options: ['Service discovery and communication', 'Single point of failure', 'Monolithic deployment', 'Limited scalability'],
+          correct: 0
+        },
+        {
+          question: 'What is the CAP theorem in distributed systems?',
+          options: ['Consistency, Availability, Performance', 'Consistency, Availability, Partition tolerance', 'Capacity, Availability, Performance', 'Consistency, Accuracy, Partition tolerance'],
+          correct: 1
+        },
+        {
+          question: 'Which pattern is best for handling failures in distributed systems?',
+          options: ['Circuit Breaker Pattern', 'Singleton Pattern', 'Factory Pattern', 'Observer Pattern'],
+          correct: 0
+        },
+        {
+          question: 'What is the primary benefit of using Kubernetes?',
+          options: ['Code compilation', 'Container orchestration and management', 'Database optimization', 'Network security'],
+          correct: 1
+        },
+        {
+          question: 'In cloud security, what is the shared responsibility model?',
+          options: ['Cloud provider handles all security', 'Customer handles all security', 'Security responsibilities are shared between provider and customer', 'Security is handled by third parties'],
+          correct: 2
+        }
+      ],
+      created_by: 'Admin',
+      created_at: now,
+      updated_at: now
+    }
+  ];
+}
+
+const EMAIL_QUEUE_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_RETRY_BASE_MINUTES = 1; // doubles after every failed attempt
+const EMAIL_QUEUE_INTERVAL_MS = 30 * 1000;
+const EMAIL_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Queue an email and try to deliver it straight away. Failed sends stay queued and are retried
+// with backoff by processEmailQueue. Returns true if the first attempt succeeded
+async function sendEmail(to, subject, html, options = {}) {
   if (!transporter) {
     console.log('⚠️  Email not configured. Skipping email send.');
     return false;
   }
-  
+
+  if (!db) {
+    try {
+      const result = await transporter.sendMail({ from: EMAIL_FROM, to: to, subject: subject, html: html });
+      console.log('✅ Email sent successfully:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Error sending email:', error);
+      return false;
+    }
+  }
+
+  const message = { ...buildQueuedEmail(to, subject, html, options), status: 'sending', claimed_at: new Date() };
+
   try {
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: to,
-      subject: subject,
-      html: html
-    };
+    const { insertedId } = await db.collection('email_queue').insertOne(message);
+    return await deliverQueuedEmail({ ...message, _id: insertedId });
+  } catch (error) {
+    console.error('❌ Error queueing email:', error);
+    return false;
+  }
+}
 
-    const result = await transporter.sendMail(mailOptions);
+// Queue document for an outbound email, due now
+function buildQueuedEmail(to, subject, html, options = {}) {
+  return {
+    to: to,
+    subject: subject,
+    html: html,
+    template: options.template || null,
+    status: 'pending',
+    attempts: 0,
+    max_attempts: EMAIL_MAX_ATTEMPTS,
+    next_attempt_at: new Date(),
+    expires_at: options.expiresInMinutes ? new Date(Date.now() + options.expiresInMinutes * 60 * 1000) : null,
+    last_error: null,
+    deliveries: [],
+    created_at: new Date()
+  };
+}
+
+// Queue many emails for the background worker without trying them now, for bulk sends
+async function queueEmails(messages) {
+  if (messages.length === 0) {
+    return;
+  }
+  await db.collection('email_queue').insertMany(
+    messages.map(message => buildQueuedEmail(message.to, message.subject, message.html, message.options))
+  );
+  processEmailQueue(); // start delivering now rather than on the next interval
+}
+
+// Make one delivery attempt for a claimed queue message and log it; returns true when sent
+async function deliverQueuedEmail(message) {
+  const attemptedAt = new Date();
+
+  try {
+    const result = await transporter.sendMail({
+      from: EMAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      html: message.html
+    });
+    // The body is dropped once delivered so passwords and codes are not kept in the queue
+    await db.collection('email_queue').updateOne({ _id: message._id }, {
+      $set: { status: 'sent', sent_at: attemptedAt, message_id: result.messageId, last_error: null },
+      $unset: { html: '', claimed_at: '' },
+      $inc: { attempts: 1 },
+      $push: { deliveries: { at: attemptedAt, ok: true, message_id: result.messageId } }
+    });
     console.log('✅ Email sent successfully:', result.messageId);
     return true;
   } catch (error) {
+    const attempts = message.attempts + 1;
+    const failed = attempts >= message.max_attempts;
+    const retryAt = new Date(attemptedAt.getTime() + EMAIL_RETRY_BASE_MINUTES * 60 * 1000 * 2 ** (attempts - 1));
+    // A message that has given up is not retried, so its body is dropped just like a sent one
+    await db.collection('email_queue').updateOne({ _id: message._id }, {
+      $set: {
+        status: failed ? 'failed' : 'pending',
+        next_attempt_at: retryAt,
+        last_error: error.message
+      },
+      $unset: failed ? { html: '', claimed_at: '' } : { claimed_at: '' },
+      $inc: { attempts: 1 },
+      $push: { deliveries: { at: attemptedAt, ok: false, error: error.message } }
+    });
     console.error('❌ Error sending email:', error);
     return false;
   }
 }
 
+// Claim the next due message (or one left mid-send by a crashed process) so it is delivered only once
+async function claimQueuedEmail() {
+  const now = new Date();
+  return db.collection('email_queue').findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { status: 'sending', claimed_at: { $lt: new Date(now.getTime() - EMAIL_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', claimed_at: now } },
+    { sort: { next_attempt_at: 1 }, returnDocument: 'after' }
+  );
+}
+
+// Retry due messages from the outbound queue; runs on an interval
+let emailQueueRunning = false;
+async function processEmailQueue() {
+  if (!db || !transporter || emailQueueRunning) {
+    return;
+  }
+  emailQueueRunning = true;
+
+  try {
+    // Codes that expired while waiting are no use to anyone
+    await db.collection('email_queue').updateMany(
+      { status: 'pending', expires_at: { $ne: null, $lte: new Date() } },
+      { $set: { status: 'failed', last_error: 'Expired before it could be delivered' }, $unset: { html: '' } }
+    );
+
+    let message;
+    while ((message = await claimQueuedEmail())) {
+      await deliverQueuedEmail(message);
+    }
+  } catch (error) {
+    console.error('❌ Error processing email queue:', error);
+  } finally {
+    emailQueueRunning = false;
+  }
+}
+
+// Built-in email templates. Admins can override the subject and body from the Email page;
+// {{variable}} placeholders are HTML-escaped in the body. sample values are used for previews
+const EMAIL_TEMPLATE_DEFAULTS = {
+  student_credentials: {
+    name: 'Student account created',
+    subject: 'Your Cloud Domain Portal Account Credentials',
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a;">Welcome to Cloud Domain Portal</h2>
+  <p>Dear {{name}},</p>
+  <p>Your student account has been created successfully. Here are your login credentials:</p>
+  <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+    <p><strong>Student ID:</strong> {{student_id}}</p>
+    <p><strong>Password:</strong> {{password}}</p>
+    <p><strong>Batch Year:</strong> {{batch_year}}</p>
+    <p><strong>Department:</strong> {{department}}</p>
+  </div>
+  <p>You can login to the student portal at: <a href="{{login_url}}">Student Login</a></p>
+  <p>Please keep these credentials secure. You will be asked to choose a new password when you first log in.</p>
+  <p>Best regards,<br>Cloud Domain Portal Team</p>
+</div>`,
+    sample: {
+      name: 'Asha Kumar',
+      student_id: 'CS2025001',
+      password: 'Xy7pQ2mK',
+      batch_year: '2025',
+      department: 'Computer Science',
+      login_url: 'http://localhost:3000/student-login'
+    }
+  },
+  admin_login_otp: {
+    name: 'Admin login code',
+    subject: 'Admin Login OTP - Cloud Domain Portal',
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a;">Admin Login OTP Verification</h2>
+  <p>Your OTP for admin login is:</p>
+  <div style="background: #f0f8ff; padding: 20px; text-align: center; margin: 20px 0;">
+    <h1 style="color: #1e3a8a; font-size: 2em; margin: 0;">{{otp}}</h1>
+  </div>
+  <p>This OTP will expire in {{expires_minutes}} minutes.</p>
+  <p>If you didn't request this login, please ignore this email.</p>
+</div>`,
+    sample: { otp: '482913', expires_minutes: 10 },
+    expires_minutes: 10
+  },
+  student_password_reset: {
+    name: 'Student password reset code',
+    subject: 'Password Reset Code - Cloud Domain Portal',
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a;">Password Reset Code</h2>
+  <p>Dear {{name}},</p>
+  <p>Your code to reset your student portal password is:</p>
+  <div style="background: #f0f8ff; padding: 20px; text-align: center; margin: 20px 0;">
+    <h1 style="color: #1e3a8a; font-size: 2em; margin: 0;">{{otp}}</h1>
+  </div>
+  <p>This code will expire in {{expires_minutes}} minutes.</p>
+  <p>If you didn't request a password reset, please ignore this email.</p>
+</div>`,
+    sample: { name: 'Asha Kumar', otp: '482913', expires_minutes: 10 },
+    expires_minutes: 10
+  },
+  admin_credentials: {
+    name: 'Staff access granted',
+    subject: 'Your Cloud Domain Portal Staff Access',
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a;">Cloud Domain Portal Staff Access</h2>
+  <p>Dear {{name}},</p>
+  <p>You have been given <strong>{{role}}</strong> access to the admin panel:</p>
+  <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+    <p><strong>Email:</strong> {{email}}</p>
+    <p><strong>Password:</strong> {{password}}</p>
+  </div>
+  <p>Login at: <a href="{{login_url}}">Admin Login</a></p>
+  <p>Best regards,<br>Cloud Domain Portal Team</p>
+</div>`,
+    sample: {
+      name: 'Priya Sharma',
+      role: 'Faculty',
+      email: 'priya.sharma@gmail.com',
+      password: 'Xy7pQ2mK',
+      login_url: 'http://localhost:3000/admin'
+    }
+  },
+  senior_credentials: {
+    name: 'Senior access granted',
+    subject: 'Your Cloud Domain Portal Senior Access',
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a;">Cloud Domain Portal Senior Access</h2>
+  <p>Dear {{name}},</p>
+  <p>You can now log in to help students with their support tickets and mentoring sessions:</p>
+  <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+    <p><strong>Email:</strong> {{email}}</p>
+    <p><strong>Password:</strong> {{password}}</p>
+  </div>
+  <p>Login at: <a href="{{login_url}}">Senior Login</a></p>
+  <p>Best regards,<br>Cloud Domain Portal Team</p>
+</div>`,
+    sample: {
+      name: 'Rahul Verma',
+      email: 'rahul.verma@gmail.com',
+      password: 'Xy7pQ2mK',
+      login_url: 'http://localhost:3000/senior-login'
+    }
+  },
+  announcement: {
+    name: 'Announcement',
+    subject: 'Announcement: {{title}}',
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a;">{{title}}</h2>
+  <p>Dear {{name}},</p>
+  <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0; white-space: pre-line;">{{body}}</div>
+  <p><a href="{{link}}">View all announcements</a></p>
+  <p>Best regards,<br>Cloud Domain Portal Team</p>
+</div>`,
+    sample: {
+      name: 'Asha Kumar',
+      title: 'AWS workshop moved to Friday',
+      body: 'The hands-on AWS workshop is now on Friday at 2 PM in Lab 3.\nBring your laptop.',
+      link: 'http://localhost:3000/student/announcements'
+    }
+  },
+  enquiry_reply: {
+    name: 'Reply to a contact form enquiry',
+    subject: 'Re: Your enquiry to Cloud Domain Portal',
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a;">Thank You for Contacting Us</h2>
+  <p>Dear {{name}},</p>
+  <div style="white-space: pre-line;">{{reply}}</div>
+  <p>Best regards,<br>{{staff_name}}<br>Cloud Domain Portal Team</p>
+  <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0; color: #475569;">
+    <p style="margin-top: 0;"><strong>Your message:</strong></p>
+    <div style="white-space: pre-line;">{{original_message}}</div>
+  </div>
+</div>`,
+    sample: {
+      name: 'Meera Nair',
+      reply: 'Admissions for the 2026 batch open on 1 March. You can apply through the college website.',
+      staff_name: 'Priya Sharma',
+      original_message: 'When do admissions open for the cloud computing programme?'
+    }
+  }
+};
+
+const EMAIL_PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Fill {{variable}} placeholders; HTML bodies get escaped values, subjects are plain text on one line
+function fillEmailPlaceholders(text, variables, isHtml) {
+  return text.replace(EMAIL_PLACEHOLDER_PATTERN, (match, key) => {
+    const value = variables[key] == null ? '' : String(variables[key]);
+    return isHtml ? escapeHtml(value) : value.replace(/[\r\n]+/g, ' ');
+  });
+}
+
+// Placeholders used in a template that it does not provide
+function unknownEmailPlaceholders(key, ...texts) {
+  const known = Object.keys(EMAIL_TEMPLATE_DEFAULTS[key].sample);
+  const used = texts.flatMap(text => [...text.matchAll(EMAIL_PLACEHOLDER_PATTERN)].map(match => match[1]));
+  return [...new Set(used.filter(name => !known.includes(name)))];
+}
+
+// A template with any admin edits applied
+async function getEmailTemplate(key) {
+  const stored = db ? await db.collection('email_templates').findOne({ key: key }) : null;
+  const template = { key, ...EMAIL_TEMPLATE_DEFAULTS[key], customised: !!stored };
+  if (stored) {
+    template.subject = stored.subject;
+    template.html = stored.html;
+    template.updated_at = stored.updated_at;
+    template.updated_by = stored.updated_by;
+  }
+  return template;
+}
+
+// Subject and HTML body of a template filled with the given values
+function renderEmailTemplate(template, variables) {
+  return {
+    subject: fillEmailPlaceholders(template.subject, variables, false),
+    html: fillEmailPlaceholders(template.html, variables, true)
+  };
+}
+
+// Render a template and queue it; returns true if the first delivery attempt succeeded
+async function sendTemplatedEmail(to, key, variables) {
+  const template = await getEmailTemplate(key);
+  const { subject, html } = renderEmailTemplate(template, variables);
+  return sendEmail(to, subject, html, { template: key, expiresInMinutes: template.expires_minutes });
+}
+
+// Escape user-provided text before using it in a search pattern
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Escape user-provided text before placing it in email HTML
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Generate OTP
 function generateOTP() {
   return crypto.randomInt(100000, 999999).toString();
 }
 
+// Check a new password against the portal's rules, returns an error message or null
+function validateNewPassword(password) {
+  if (!password || password.length < 8) {
+    return 'Password must be at least 8 characters long';
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+  return null;
+}
+
+const STUDENT_IMPORT_COLUMNS = ['roll_num', 'name', 'email', 'department', 'batch_year'];
+
+// Archived students keep their records but drop out of every active list
+const ACTIVE_STUDENT_FILTER = { archived: { $ne: true } };
+
+const STUDENT_LIST_PAGE_SIZE = 25;
+const STUDENT_LIST_SORT_FIELDS = ['student_id', 'name', 'email', 'department', 'batch_year', 'created_at'];
+const STUDENT_EXPORT_COLUMNS = ['student_id', 'name', 'email', 'department', 'batch_year', 'course', 'year', 'phone', 'created_at'];
+
+// Turn the admin student list query string into a MongoDB filter and sort.
+// Shared by the list page and the CSV export so both show the same students.
+function parseStudentListQuery(query) {
+  const sort = STUDENT_LIST_SORT_FIELDS.includes(query.sort) ? query.sort : 'created_at';
+  const filters = {
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    department: query.department || '',
+    batch_year: query.batch_year || '',
+    course: query.course || '',
+    year: query.year || '',
+    sort: sort,
+    dir: ['asc', 'desc'].includes(query.dir) ? query.dir : (sort === 'created_at' ? 'desc' : 'asc')
+  };
+
+  const mongoFilter = { ...ACTIVE_STUDENT_FILTER };
+  ['department', 'batch_year', 'course', 'year'].forEach(field => {
+    if (filters[field]) mongoFilter[field] = filters[field];
+  });
+  if (filters.q) {
+    const pattern = new RegExp(escapeRegex(filters.q), 'i');
+    mongoFilter.$or = [{ name: pattern }, { student_id: pattern }, { email: pattern }];
+  }
+
+  return {
+    filters,
+    mongoFilter,
+    mongoSort: { [filters.sort]: filters.dir === 'asc' ? 1 : -1, _id: 1 }
+  };
+}
+
+// Soft-delete students; reason is 'removed' or 'graduated'
+async function archiveStudents(query, reason, req) {
+  const students = await db.collection('students').find({ ...query, ...ACTIVE_STUDENT_FILTER }).toArray();
+  if (students.length === 0) {
+    return students;
+  }
+
+  await db.collection('students').updateMany(
+    { _id: { $in: students.map(student => student._id) } },
+    {
+      $set: {
+        archived: true,
+        archive_reason: reason,
+        archived_at: new Date(),
+        archived_by: adminActor(req).name,
+        archived_by_id: adminActor(req).id,
+        updated_at: new Date()
+      }
+    }
+  );
+  await Promise.all(students.map(student => revokeUserSessions('student', student.student_id)));
+  return students;
+}
+
+// Permanently remove an archived student and everything that belongs to them
+async function purgeStudent(student) {
+  const studentId = student.student_id;
+  const tasks = await db.collection('tasks')
+    .find({ student_id: studentId, 'submission.file': { $exists: true } })
+    .toArray();
+  const openSessions = await db.collection('mentoring_sessions')
+    .find({ student_id: studentId, status: { $in: ['requested', 'accepted'] } })
+    .toArray();
+  await Promise.all(openSessions.map(releaseMentoringSlot));
+
+  const [attendance, taskResult, attempts, tickets] = await Promise.all([
+    db.collection('attendance').deleteMany({ student_id: studentId }),
+    db.collection('tasks').deleteMany({ student_id: studentId }),
+    db.collection('assessment_attempts').deleteMany({ student_id: studentId }),
+    db.collection('tickets').deleteMany({ student_id: studentId }),
+    db.collection('student_password_resets').deleteMany({ student_id: studentId }),
+    db.collection('notification_log').deleteMany({ student_id: studentId }),
+    db.collection('mentoring_sessions').deleteMany({ student_id: studentId }),
+    db.collection('student_email_changes').deleteMany({ student_id: studentId }),
+    db.collection('announcement_reads').deleteMany({ student_id: studentId }),
+    db.collection('attendance_corrections').deleteMany({ student_id: studentId }),
+    db.collection('attendance_disputes').deleteMany({ student_id: studentId }),
+    db.collection('issued_documents').deleteMany({ student_id: studentId })
+  ]);
+  await db.collection('students').deleteOne({ _id: student._id });
+  removeStoredFile(student.profile_image);
+
+  tasks.forEach(task => {
+    if (task.submission && task.submission.file) {
+      removeStoredFile(task.submission.file.file_path);
+    }
+  });
+
+  return {
+    attendance: attendance.deletedCount,
+    tasks: taskResult.deletedCount,
+    assessment_attempts: attempts.deletedCount,
+    tickets: tickets.deletedCount
+  };
+}
+
+// Check the fields needed to create a student, returns an error message or null
+function validateStudentInput({ roll_num, name, department, email, batch_year }) {
+  if (!roll_num || !name || !department || !email || !batch_year) {
+    return 'All fields are required';
+  }
+
+  if (!email.endsWith('@gmail.com')) {
+    return 'Email must be a Gmail address';
+  }
+
+  return null;
+}
+
+const BATCH_DURATION_YEARS = 4;
+const DEFAULT_DEPARTMENTS = [
+  { name: 'Computer Science', code: 'CS' },
+  { name: 'Information Technology', code: 'IT' },
+  { name: 'Electronics', code: 'ECE' },
+  { name: 'Mechanical', code: 'ME' },
+  { name: 'Civil', code: 'CE' },
+  { name: 'Electrical', code: 'EE' }
+];
+
+// Canonical "2024-2028" form of a typed batch such as "2024 - 2028", "24-28" or "2024"
+function normalizeBatchLabel(value) {
+  const match = String(value || '').trim().match(/^(\d{2}|\d{4})(?:\s*[-–/]\s*(\d{2}|\d{4}))?$/);
+  if (!match) return null;
+
+  const fullYear = (year) => (year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10));
+  const startYear = fullYear(match[1]);
+  const endYear = match[2] ? fullYear(match[2]) : startYear + BATCH_DURATION_YEARS;
+  if (endYear <= startYear || endYear - startYear > 6) return null;
+  return { code: `${startYear}-${endYear}`, start_year: startYear, end_year: endYear };
+}
+
+// Year of study a batch is in on the given day; the academic year starts in July
+function batchStudyYear(startYear, endYear, now = new Date()) {
+  const academicYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+  return Math.min(Math.max(academicYear - startYear + 1, 1), endYear - startYear);
+}
+
+function studyYearLabel(year) {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[year] || 'th';
+  return `${year}${suffix} Year`;
+}
+
+function departmentKey(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Lookup keys a department answers to: its name, its code and any old spellings
+function departmentKeys({ name, code, aliases = [] }) {
+  return [...new Set([departmentKey(name), departmentKey(code), ...aliases].filter(Boolean))];
+}
+
+// Managed batch a typed value refers to, by code or a spelling seen before
+async function resolveBatch(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  const normalized = normalizeBatchLabel(raw);
+  return db.collection('batches').findOne({ $or: [{ code: normalized ? normalized.code : raw }, { aliases: raw }] });
+}
+
+// Managed department a typed value refers to, by name, code or a spelling seen before
+async function resolveDepartment(value) {
+  const key = departmentKey(value);
+  return key ? db.collection('departments').findOne({ keys: key }) : null;
+}
+
+// Check a student's department and batch against the managed lists.
+// Returns { error } or the canonical { department, batch_year, year }.
+async function resolveStudentPlacement({ department, batch_year }) {
+  const [departmentDoc, batch] = await Promise.all([resolveDepartment(department), resolveBatch(batch_year)]);
+  if (!departmentDoc || !departmentDoc.active) {
+    return { error: `Unknown department "${department}". Add it under Batches & Departments first.` };
+  }
+  if (!batch || !batch.active) {
+    return { error: `Unknown batch "${batch_year}". Add it under Batches & Departments first.` };
+  }
+  return {
+    department: departmentDoc.name,
+    batch_year: batch.code,
+    year: studyYearLabel(batch.current_year || 1)
+  };
+}
+
+// Active batches and departments for form dropdowns
+async function loadPlacementOptions() {
+  const [batches, departments] = await Promise.all([
+    db.collection('batches').find({ active: true }).sort({ code: 1 }).toArray(),
+    db.collection('departments').find({ active: true }).sort({ name: 1 }).toArray()
+  ]);
+  return { batches: batches.map(batch => batch.code), departments: departments.map(department => department.name) };
+}
+
+// Point every record that names a batch at its new code
+async function renameBatchEverywhere(from, to) {
+  await Promise.all([
+    db.collection('students').updateMany({ batch_year: from }, { $set: { batch_year: to, updated_at: new Date() } }),
+    db.collection('attendance').updateMany({ batch: from }, { $set: { batch: to } }),
+    db.collection('attendance_pdfs').updateMany({ batch: from }, { $set: { batch: to } }),
+    db.collection('attendance_disputes').updateMany({ batch: from }, { $set: { batch: to } }),
+    db.collection('timetable_slots').updateMany({ batch: from }, { $set: { batch: to } }),
+    db.collection('tasks').updateMany({ 'target.batch': from }, { $set: { 'target.batch': to } }),
+    db.collection('holidays').updateMany({ batches: from }, { $set: { 'batches.$': to } }),
+    db.collection('announcements').updateMany({ 'audience.batch_years': from }, { $set: { 'audience.batch_years.$': to } })
+  ]);
+}
+
+// Point every record that names a department at its new name
+async function renameDepartmentEverywhere(from, to) {
+  await Promise.all([
+    db.collection('students').updateMany({ department: from }, { $set: { department: to, updated_at: new Date() } }),
+    db.collection('announcements').updateMany({ 'audience.departments': from }, { $set: { 'audience.departments.$': to } })
+  ]);
+}
+
+// Fold the free-text batches and departments already in the data into managed records.
+// Safe to rerun: values that already match a managed record are left alone.
+async function normalizeStudentPlacements() {
+  const changed = { batches: 0, departments: 0 };
+
+  if (await db.collection('departments').countDocuments() === 0) {
+    await db.collection('departments').insertMany(DEFAULT_DEPARTMENTS.map(department => ({
+      ...department,
+      aliases: [],
+      keys: departmentKeys(department),
+      active: true,
+      created_at: new Date(),
+      updated_at: new Date()
+    })));
+  }
+
+  const departmentValues = await db.collection('students').distinct('department');
+  for (const value of departmentValues.filter(Boolean)) {
+    let department = await resolveDepartment(value);
+    if (!department) {
+      const name = String(value).trim().replace(/\s+/g, ' ');
+      const doc = { name, code: '', aliases: [], active: true, created_at: new Date(), updated_at: new Date() };
+      doc.keys = departmentKeys(doc);
+      await db.collection('departments').insertOne(doc);
+      department = doc;
+    }
+    if (department.name !== value) {
+      await db.collection('departments').updateOne(
+        { _id: department._id },
+        { $addToSet: { aliases: departmentKey(value), keys: departmentKey(value) } }
+      );
+      await renameDepartmentEverywhere(value, department.name);
+      changed.departments++;
+    }
+  }
+
+  const batchValues = new Set([
+    ...await db.collection('students').distinct('batch_year'),
+    ...await db.collection('attendance').distinct('batch'),
+    ...await db.collection('timetable_slots').distinct('batch')
+  ]);
+  for (const value of [...batchValues].filter(Boolean)) {
+    const raw = String(value).trim();
+    const existing = await resolveBatch(raw);
+    const normalized = normalizeBatchLabel(raw);
+    const code = existing ? existing.code : (normalized ? normalized.code : raw);
+
+    if (!existing) {
+      await db.collection('batches').updateOne(
+        { code },
+        {
+          $setOnInsert: {
+            code,
+            start_year: normalized ? normalized.start_year : null,
+            end_year: normalized ? normalized.end_year : null,
+            current_year: normalized ? batchStudyYear(normalized.start_year, normalized.end_year) : null,
+            aliases: [],
+            active: true,
+            created_at: new Date(),
+            updated_at: new Date()
+          }
+        },
+        { upsert: true }
+      );
+    }
+    if (value !== code) {
+      await db.collection('batches').updateOne({ code }, { $addToSet: { aliases: raw } });
+      await renameBatchEverywhere(value, code);
+      changed.batches++;
+    }
+  }
+
+  // A student's year of study follows their batch
+  const batches = await db.collection('batches').find({ current_year: { $ne: null } }).toArray();
+  await Promise.all(batches.map(batch => db.collection('students').updateMany(
+    { batch_year: batch.code, year: { $ne: studyYearLabel(batch.current_year) }, ...ACTIVE_STUDENT_FILTER },
+    { $set: { year: studyYearLabel(batch.current_year), updated_at: new Date() } }
+  )));
+
+  return changed;
+}
+
+// A student already using this roll number or email, compared without regard to case
+function findStudentByRollOrEmail(roll_num, email) {
+  return db.collection('students').findOne(
+    { $or: [{ student_id: roll_num }, { email: email }] },
+    { collation: { locale: 'en', strength: 2 } }
+  );
+}
+
+// Create a student and email their credentials. Bulk imports pass { deferEmail: true } to get the
+// credentials email back for queueEmails instead of waiting on each send.
+async function createStudentAccount({ roll_num, name, department, email, batch_year, year }, req, options = {}) {
+  // Generate random password
+  const password = generateRandomPassword();
+
+  // Hash password
+  const hashedPassword = await bcrypt.hash(password, 10);
+  
+  // Create student document
+  const studentDoc = {
+    student_id: roll_num,
+    name: name,
+    email: email,
+    password: hashedPassword,
+    department: department,
+    batch_year: batch_year,
+    phone: '',
+    course: 'Cloud Computing',
+    year: year || '1st Year',
+    profile_image: '',
+    must_change_password: true,
+    created_at: new Date(),
+    updated_at: new Date()
+  };
+  
+  await db.collection('students').insertOne(studentDoc);
+  console.log('✅ Student created:', roll_num);
+
+  // Send credentials via email
+  const template = await getEmailTemplate('student_credentials');
+  const message = {
+    to: email,
+    ...renderEmailTemplate(template, {
+      name: name,
+      student_id: roll_num,
+      password: password,
+      batch_year: batch_year,
+      department: department,
+      login_url: `${req.protocol}://${req.get('host')}/student-login`
+    }),
+    options: { template: 'student_credentials', expiresInMinutes: template.expires_minutes }
+  };
+  if (options.deferEmail) {
+    return { password, message };
+  }
+
+  const emailSent = await sendEmail(message.to, message.subject, message.html, message.options);
+  return { password, emailSent };
+}
+
+// Parse CSV text into an array of rows (arrays of strings), supporting quoted fields
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  if (rows.length > 0 && rows[0].length > 0) {
+    rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+  }
+
+  return rows;
+}
+
+// Build CSV text from a list of column names and row objects
+function toCsv(columns, rows) {
+  const escapeValue = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeValue(row[column])).join(','))
+  ].join('\n');
+}
+
 // Generate random password
 function generateRandomPassword() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789@#$';
@@ -251,645 +1265,7947 @@ const upload = multer({
   }
 });
 
-// Create uploads directory if it doesn't exist
-const fs = require('fs');
-const uploadsDir = 'uploads/attendance';
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+const ATTENDANCE_STATUS_WORDS = {
+  present: 'present', p: 'present',
+  absent: 'absent', a: 'absent', ab: 'absent',
+  late: 'late', l: 'late'
+};
+
+// Pull roll numbers and statuses out of the text of an attendance sheet.
+// Lines are matched against the batch's roll numbers and the last status on a line wins,
+// since sheets put the status column after the name.
+function parseAttendanceSheet(text, students) {
+  // Longest first so 24CS0011 is not read as 24CS001
+  const rollNumbers = students
+    .map(student => student.student_id)
+    .sort((a, b) => b.length - a.length);
+  const statuses = {};
+  const unmatched = [];
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const upperLine = line.toUpperCase();
+    const rollNumber = rollNumbers.find(roll => upperLine.includes(roll.toUpperCase()));
+    const remainder = rollNumber ? upperLine.replace(rollNumber.toUpperCase(), ' ') : upperLine;
+
+    const tokens = remainder.split(/[^A-Z]+/).filter(Boolean);
+    const words = tokens.filter(word => word.length > 2 && ATTENDANCE_STATUS_WORDS[word.toLowerCase()]);
+    // Text extraction often glues a full status word onto the name, e.g. "Jane DoePRESENT"
+    const glued = remainder.match(/(PRESENT|ABSENT|LATE)\s*$/);
+    // A short code only counts as its own last token: names end in A, P or L too ("Priya", "Deep"),
+    // so a glued letter is left for the admin to confirm
+    const lastToken = tokens[tokens.length - 1];
+    const shortCode = lastToken && lastToken.length <= 2 && ATTENDANCE_STATUS_WORDS[lastToken.toLowerCase()] ? lastToken : null;
+    const statusWord = words.length > 0 ? words[words.length - 1] : (glued ? glued[1] : shortCode);
+    if (!statusWord) return;
+
+    if (rollNumber) {
+      statuses[rollNumber] = ATTENDANCE_STATUS_WORDS[statusWord.toLowerCase()];
+    } else if (/\b(?=[A-Z]*\d)(?=\d*[A-Z])[A-Z0-9]{5,}\b/.test(upperLine)) {
+      unmatched.push(line);
+    }
+  });
+
+  return {
+    statuses,
+    unmatched,
+    missing: students.filter(student => !statuses[student.student_id]).map(student => student.student_id)
+  };
 }
 
-// Middleware to check admin authentication
-const requireAdmin = (req, res, next) => {
-  if (req.session.isAdmin) {
-    next();
-  } else {
-    res.redirect('/admin');
-  }
+// Allowed file types and size limits per document category
+const DOCUMENT_CATEGORY_RULES = {
+  'lecture-notes': { extensions: ['.pdf', '.doc', '.docx', '.ppt', '.pptx'], maxSize: 10 * 1024 * 1024 },
+  'assignments': { extensions: ['.pdf', '.doc', '.docx'], maxSize: 5 * 1024 * 1024 },
+  'lab-manuals': { extensions: ['.pdf', '.doc', '.docx'], maxSize: 10 * 1024 * 1024 },
+  'reference-materials': { extensions: ['.pdf', '.doc', '.docx', '.ppt', '.pptx'], maxSize: 20 * 1024 * 1024 },
+  'project-guidelines': { extensions: ['.pdf', '.doc', '.docx'], maxSize: 5 * 1024 * 1024 },
+  'certification-prep': { extensions: ['.pdf', '.ppt', '.pptx'], maxSize: 20 * 1024 * 1024 }
 };
 
-// Middleware to check student authentication
-const requireStudent = (req, res, next) => {
-  if (req.session.studentId) {
+const DOCUMENT_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Configure multer for course document uploads
+const documentStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, 'uploads/documents/');
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'document-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+const documentUpload = multer({
+  storage: documentStorage,
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (DOCUMENT_MIME_TYPES[ext]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, DOC, DOCX, PPT and PPTX files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024 // Largest per-category limit, checked again per category
+  }
+});
+
+// Run the document upload middleware and report multer errors as JSON
+const handleDocumentUpload = (req, res, next) => {
+  documentUpload.single('document')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+      return res.status(400).json({ error: message });
+    }
     next();
-  } else {
-    res.redirect('/student-login');
+  });
+};
+
+// Check an uploaded file against its category rules, returns an error message or null
+function validateDocumentFile(file, category) {
+  const rules = DOCUMENT_CATEGORY_RULES[category];
+  if (!rules) {
+    return 'Invalid document category';
+  }
+
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (!rules.extensions.includes(ext)) {
+    return `Allowed file types for this category: ${rules.extensions.join(', ')}`;
+  }
+
+  if (file.size > rules.maxSize) {
+    return `File exceeds the ${rules.maxSize / (1024 * 1024)}MB limit for this category`;
+  }
+
+  return null;
+}
+
+const SUBMISSION_EXTENSIONS = ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.zip', '.txt', '.png', '.jpg', '.jpeg'];
+
+// Configure multer for task submission uploads
+const submissionStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, 'uploads/submissions/');
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'submission-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+const submissionUpload = multer({
+  storage: submissionStorage,
+  fileFilter: (req, file, cb) => {
+    if (SUBMISSION_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Allowed file types: ${SUBMISSION_EXTENSIONS.join(', ')}`), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
   }
+});
+
+// Run the submission upload middleware and report multer errors as JSON
+const handleSubmissionUpload = (req, res, next) => {
+  submissionUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large (max 10MB)' : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
 };
 
-// Database health check middleware
-const checkDatabase = (req, res, next) => {
-  if (!db) {
-    return res.status(503).json({ error: 'Database not available' });
+// CSV uploads are parsed in memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
   }
-  next();
+});
+
+// Run the CSV upload middleware and report multer errors as JSON
+const handleCsvUpload = (req, res, next) => {
+  csvUpload.single('csvFile')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'CSV file is too large (max 1MB)' : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
 };
 
-// Routes
+const AVATAR_SIZE = 256;
+const AVATAR_FORMATS = ['jpeg', 'png', 'webp'];
 
-// Serve main website
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
+// Avatars are resized in memory before anything is written to disk
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPG, PNG and WebP images are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
 });
 
-// Admin login route
-app.get('/admin', (req, res) => {
-  res.render('admin-login');
-});
+// Run the avatar upload middleware and report multer errors as JSON
+const handleAvatarUpload = (req, res, next) => {
+  avatarUpload.single('avatar')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'Image is too large (max 5MB)' : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
 
-// Admin login POST - Step 1: Verify credentials and send OTP
-app.post('/admin/login', checkDatabase, async (req, res) => {
-  const { username, password } = req.body;
-  
+// Check the real image type, then crop to a square JPEG and save it. Returns { error } or { filePath }
+async function saveAvatarImage(buffer, studentId) {
+  let metadata;
   try {
-    // Check admin credentials from database
-    const admin = await db.collection('admin_users').findOne({ email: username });
-    
-    if (admin && await bcrypt.compare(password, admin.password)) {
-      // Generate and store OTP
-      const otp = generateOTP();
-      const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
-      
-      await db.collection('admin_otps').deleteMany({ email: username }); // Remove old OTPs
-      await db.collection('admin_otps').insertOne({
-        email: username,
-        otp: otp,
-        expires_at: expiresAt,
-        created_at: new Date()
-      });
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'The file is not a valid image' };
+  }
+  if (!AVATAR_FORMATS.includes(metadata.format)) {
+    return { error: 'Only JPG, PNG and WebP images are allowed' };
+  }
 
-      // Send OTP via email
-      const emailHtml = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #1e3a8a;">Admin Login OTP Verification</h2>
-          <p>Your OTP for admin login is:</p>
-          <div style="background: #f0f8ff; padding: 20px; text-align: center; margin: 20px 0;">
-            <h1 style="color: #1e3a8a; font-size: 2em; margin: 0;">${otp}</h1>
-          </div>
-          <p>This OTP will expire in 10 minutes.</p>
-          <p>If you didn't request this login, please ignore this email.</p>
-        </div>
-      `;
+  const safeId = studentId.replace(/[^A-Za-z0-9_-]/g, '');
+  const filePath = path.join('uploads/avatars', `avatar-${safeId}-${Date.now()}.jpg`);
+  await sharp(buffer)
+    .rotate() // Respect the camera orientation before cropping
+    .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+    .jpeg({ quality: 85 })
+    .toFile(filePath);
 
-      const emailSent = await sendEmail(username, 'Admin Login OTP - Cloud Domain Portal', emailHtml);
-      
-      if (emailSent || !transporter) {
-        req.session.pendingAdminEmail = username;
-        res.json({ 
-          success: true, 
-          requireOTP: true,
-          message: emailSent ? 'OTP sent to your email' : 'OTP: ' + otp + ' (Email not configured)'
-        });
-      } else {
-        res.status(500).json({ error: 'Failed to send OTP email' });
+  return { filePath };
+}
+
+// Remove a stored file, ignoring files that are already gone
+function removeStoredFile(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+// Create uploads directories if they don't exist
+const fs = require('fs');
+const uploadsDirs = ['uploads/attendance', 'uploads/documents', 'uploads/submissions', 'uploads/avatars'];
+for (const uploadsDir of uploadsDirs) {
+  if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  }
+}
+
+const ASSESSMENT_LEVELS = ['low', 'medium', 'high'];
+
+// Validate assessment input from the admin form, returns { error } or { assessment }
+function parseAssessmentInput(body) {
+  const { title, level, description, topics, time_limit_minutes, is_published, questions } = body;
+
+  if (!title || !level) {
+    return { error: 'Title and level are required' };
+  }
+
+  if (!ASSESSMENT_LEVELS.includes(level)) {
+    return { error: 'Level must be low, medium or high' };
+  }
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'At least one question is required' };
+  }
+
+  const parsedQuestions = [];
+  for (let i = 0; i < questions.length; i++) {
+    const q = questions[i];
+    const options = Array.isArray(q.options) ? q.options.map(o => String(o).trim()).filter(o => o) : [];
+    const correct = parseInt(q.correct, 10);
+
+    if (!q.question || !String(q.question).trim()) {
+      return { error: `Question ${i + 1} has no text` };
+    }
+    if (options.length < 2) {
+      return { error: `Question ${i + 1} needs at least two options` };
+    }
+    if (isNaN(correct) || correct < 0 || correct >= options.length) {
+      return { error: `Question ${i + 1} has no valid correct answer` };
+    }
+
+    parsedQuestions.push({ question: String(q.question).trim(), options, correct });
+  }
+
+  const timeLimit = parseInt(time_limit_minutes, 10);
+
+  return {
+    assessment: {
+      title: title.trim(),
+      level: level,
+      description: description || '',
+      topics: Array.isArray(topics) ? topics.map(t => String(t).trim()).filter(t => t) : [],
+      time_limit_minutes: isNaN(timeLimit) || timeLimit <= 0 ? null : timeLimit,
+      is_published: is_published === true || is_published === 'true',
+      questions: parsedQuestions
+    }
+  };
+}
+
+const TICKET_CATEGORIES = ['technical-doubt', 'assignment-help', 'career-guidance', 'project-support', 'general-query'];
+const TICKET_PRIORITIES = ['low', 'medium', 'high'];
+const TICKET_STATUSES = ['open', 'in-progress', 'resolved'];
+
+// Email the student that owns a ticket about a change to it
+async function notifyTicketUpdate(ticket, change, req) {
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1e3a8a;">Support Ticket Update</h2>
+      <p>Dear ${escapeHtml(ticket.student_name)},</p>
+      <p>Your support ticket <strong>${escapeHtml(ticket.subject)}</strong> has been updated:</p>
+      <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <p>${escapeHtml(change)}</p>
+        <p><strong>Status:</strong> ${escapeHtml(ticket.status)}</p>
+      </div>
+      <p>View your tickets at: <a href="${req.protocol}://${req.get('host')}/student/tickets">Support Tickets</a></p>
+      <p>Best regards,<br>Cloud Domain Portal Team</p>
+    </div>
+  `;
+
+  return sendEmail(ticket.student_email, `Ticket Update: ${ticket.subject}`, emailHtml);
+}
+
+// Append a comment to a ticket, returns the updated ticket or null if not found
+async function addTicketComment(ticketId, author, message) {
+  if (!ObjectId.isValid(ticketId)) {
+    return null;
+  }
+
+  return db.collection('tickets').findOneAndUpdate(
+    { _id: new ObjectId(ticketId) },
+    {
+      $push: {
+        comments: {
+          author_type: author.type,
+          author_id: author.id,
+          author_name: author.name,
+          message: message,
+          created_at: new Date()
+        }
+      },
+      $set: { updated_at: new Date() }
+    },
+    { returnDocument: 'after' }
+  );
+}
+
+// Change a ticket's status, returns the updated ticket or null if not found
+async function setTicketStatus(ticketId, status, actor) {
+  if (!ObjectId.isValid(ticketId)) {
+    return null;
+  }
+
+  const update = { status: status, updated_at: new Date() };
+  if (status === 'resolved') {
+    update.resolved_by = actor.name;
+    update.resolved_at = new Date();
+  }
+
+  return db.collection('tickets').findOneAndUpdate(
+    { _id: new ObjectId(ticketId) },
+    { $set: update },
+    { returnDocument: 'after' }
+  );
+}
+
+// Assign a ticket to a senior, returns the updated ticket or null if not found
+async function assignTicket(ticketId, senior) {
+  if (!ObjectId.isValid(ticketId)) {
+    return null;
+  }
+
+  return db.collection('tickets').findOneAndUpdate(
+    { _id: new ObjectId(ticketId) },
+    {
+      $set: {
+        assigned_to: { id: senior._id.toString(), name: senior.name, type: 'senior' },
+        updated_at: new Date()
       }
-    } else {
-      res.status(401).json({ error: 'Invalid credentials' });
+    },
+    { returnDocument: 'after' }
+  );
+}
+
+const MENTORING_DURATIONS = [30, 45, 60, 90];
+
+// Validate the admin senior form, returns an error message or null
+function validateSeniorInput({ name, email, specialization, graduation_year, linkedin_profile }) {
+  if (!name || !email || !specialization || !graduation_year) {
+    return 'Name, email, specialization and graduation year are required';
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return 'Invalid email address';
+  }
+  if (!/^\d{4}$/.test(String(graduation_year))) {
+    return 'Graduation year must be a four digit year';
+  }
+  if (linkedin_profile && !/^https?:\/\//i.test(linkedin_profile)) {
+    return 'LinkedIn profile must be a full http(s) URL';
+  }
+  return null;
+}
+
+function formatMentoringTime(session) {
+  return `${new Date(session.start_at).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })} ` +
+    `(${session.duration_minutes} min)`;
+}
+
+// Email the student and/or senior about a mentoring session change
+async function notifyMentoringSession(session, event) {
+  const details = `
+    <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+      <p><strong>Student:</strong> ${escapeHtml(session.student_name)} (${escapeHtml(session.student_id)})</p>
+      <p><strong>Senior:</strong> ${escapeHtml(session.senior_name)}</p>
+      <p><strong>When:</strong> ${escapeHtml(formatMentoringTime(session))}</p>
+      <p><strong>Topic:</strong> ${escapeHtml(session.topic)}</p>
+      ${session.response_note ? `<p><strong>Note:</strong> ${escapeHtml(session.response_note)}</p>` : ''}
+    </div>
+  `;
+  const message = (name, text, link, linkLabel) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1e3a8a;">Mentoring Session ${escapeHtml(event.charAt(0).toUpperCase() + event.slice(1))}</h2>
+      <p>Dear ${escapeHtml(name)},</p>
+      <p>${text}</p>
+      ${details}
+      <p><a href="${PORTAL_URL}${link}">${linkLabel}</a></p>
+      <p>Best regards,<br>Cloud Domain Portal Team</p>
+    </div>
+  `;
+
+  const toStudent = (text) => sendEmail(
+    session.student_email,
+    `Mentoring Session ${event.charAt(0).toUpperCase() + event.slice(1)}: ${session.senior_name}`,
+    message(session.student_name, text, '/student/seniors', 'View your mentoring sessions')
+  );
+  const toSenior = (text) => sendEmail(
+    session.senior_email,
+    `Mentoring Session ${event.charAt(0).toUpperCase() + event.slice(1)}: ${session.student_name}`,
+    message(session.senior_name, text, '/senior/mentoring', 'Open your mentoring requests')
+  );
+
+  if (event === 'requested') {
+    await Promise.all([
+      toSenior('A student has requested a mentoring session in one of your slots. Please accept or decline it.'),
+      toStudent(`Your request has been sent to ${escapeHtml(session.senior_name)}. You will get an email when they respond.`)
+    ]);
+  } else if (event === 'accepted') {
+    await Promise.all([
+      toStudent(`${escapeHtml(session.senior_name)} has accepted your mentoring session.`),
+      toSenior('You have accepted this mentoring session.')
+    ]);
+  } else if (event === 'declined') {
+    await toStudent(`${escapeHtml(session.senior_name)} could not take this session. You can book another slot.`);
+  } else if (event === 'cancelled') {
+    await toSenior('The student has cancelled this mentoring session. The slot is open for booking again.');
+  }
+}
+
+// Reopen the slot held by a session so another student can book it, unless it has already passed
+async function releaseMentoringSlot(session) {
+  await db.collection('mentoring_slots').updateOne(
+    { _id: session.slot_id, start_at: { $gt: new Date() } },
+    { $set: { status: 'open', updated_at: new Date() } }
+  );
+}
+
+// Check the admin announcement form, returns { error } or { announcement } with the cleaned fields
+function parseAnnouncementInput(body) {
+  const title = String(body.title || '').trim();
+  const message = String(body.body || '').trim();
+  if (!title || !message) {
+    return { error: 'Title and message are required' };
+  }
+  if (title.length > 200) {
+    return { error: 'Title must be 200 characters or fewer' };
+  }
+
+  let expiresAt = null;
+  if (body.expires_at) {
+    expiresAt = new Date(body.expires_at);
+    if (isNaN(expiresAt.getTime())) {
+      return { error: 'Invalid expiry date' };
+    }
+    if (expiresAt <= new Date()) {
+      return { error: 'Expiry must be in the future' };
+    }
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : [value]).map(item => String(item || '').trim()).filter(Boolean);
+  return {
+    announcement: {
+      title: title,
+      body: message,
+      audience: {
+        batch_years: toList(body.batch_years),
+        departments: toList(body.departments)
+      },
+      pinned: body.pinned === true || body.pinned === 'true',
+      expires_at: expiresAt
+    }
+  };
+}
+
+// Active students an announcement is aimed at; an empty list means everyone
+function announcementAudienceFilter(audience) {
+  const filter = { ...ACTIVE_STUDENT_FILTER };
+  if (audience.batch_years.length > 0) filter.batch_year = { $in: audience.batch_years };
+  if (audience.departments.length > 0) filter.department = { $in: audience.departments };
+  return filter;
+}
+
+// Unexpired announcements aimed at a student, pinned first, each flagged read or unread
+async function loadStudentAnnouncements(student) {
+  const announcements = await db.collection('announcements')
+    .find({
+      $and: [
+        { $or: [{ 'audience.batch_years': { $size: 0 } }, { 'audience.batch_years': String(student.batch_year) }] },
+        { $or: [{ 'audience.departments': { $size: 0 } }, { 'audience.departments': student.department }] },
+        { $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }] }
+      ]
+    })
+    .sort({ pinned: -1, created_at: -1 })
+    .toArray();
+
+  const reads = await db.collection('announcement_reads')
+    .find({ student_id: student.student_id, announcement_id: { $in: announcements.map(item => item._id) } })
+    .toArray();
+  const readIds = new Set(reads.map(read => read.announcement_id.toString()));
+  return announcements.map(item => ({ ...item, read: readIds.has(item._id.toString()) }));
+}
+
+// Queue an announcement email to everyone in its audience; returns the number of students emailed
+async function emailAnnouncement(announcement) {
+  const [students, template] = await Promise.all([
+    db.collection('students')
+      .find(announcementAudienceFilter(announcement.audience), { projection: { name: 1, email: 1 } })
+      .toArray(),
+    getEmailTemplate('announcement')
+  ]);
+
+  await queueEmails(students.map(student => ({
+    to: student.email,
+    ...renderEmailTemplate(template, {
+      name: student.name,
+      title: announcement.title,
+      body: announcement.body,
+      link: `${PORTAL_URL}/student/announcements`
+    }),
+    options: { template: 'announcement' }
+  })));
+  await db.collection('announcements').updateOne(
+    { _id: announcement._id },
+    { $set: { emailed_at: new Date(), emailed_count: students.length } }
+  );
+  return students.length;
+}
+
+const DEFAULT_ATTENDANCE_THRESHOLD = parseInt(process.env.ATTENDANCE_THRESHOLD, 10) || 75;
+const ATTENDANCE_REPORT_GROUPS = {
+  student: '$student_id',
+  subject: '$subject',
+  batch: '$batch'
+};
+
+// Attendance percentages grouped by student, subject or batch; late counts as attended
+async function buildAttendanceReport({ from, to, batch, subject, studentIds, groupBy, threshold }) {
+  const match = {};
+  if (studentIds) match.student_id = { $in: studentIds };
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+  }
+  if (batch) match.batch = batch;
+  if (subject) match.subject = subject;
+
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: ATTENDANCE_REPORT_GROUPS[groupBy],
+        total: { $sum: 1 },
+        present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+
+  if (groupBy === 'student') {
+    pipeline.push(
+      { $lookup: { from: 'students', localField: '_id', foreignField: 'student_id', as: 'student' } },
+      { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } }
+    );
+  }
+
+  const groups = await db.collection('attendance').aggregate(pipeline).toArray();
+
+  return groups.map(group => {
+    const percentage = group.total > 0
+      ? Math.round(((group.present + group.late) / group.total) * 1000) / 10
+      : 0;
+    const row = {
+      key: group._id,
+      total: group.total,
+      present: group.present,
+      absent: group.absent,
+      late: group.late,
+      percentage: percentage,
+      below_threshold: percentage < threshold
+    };
+    if (groupBy === 'student') {
+      row.name = group.student ? group.student.name : '';
+      row.batch_year = group.student ? group.student.batch_year : '';
+      row.department = group.student ? group.student.department : '';
+    }
+    return row;
+  });
+}
+
+// Read attendance report filters from a query string, returns { error } for a bad date range
+function parseAttendanceReportQuery(query) {
+  const groupBy = Object.keys(ATTENDANCE_REPORT_GROUPS).includes(String(query.group_by)) ? String(query.group_by) : 'student';
+  const threshold = parseFloat(query.threshold);
+  const from = query.from ? String(query.from) : null;
+  const to = query.to ? String(query.to) : null;
+
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    return { error: 'Invalid date' };
+  }
+  if (from && to && new Date(from) > new Date(to)) {
+    return { error: 'The start date must be before the end date' };
+  }
+
+  return {
+    from: from,
+    to: to,
+    batch: query.batch ? String(query.batch) : null,
+    subject: query.subject ? String(query.subject) : null,
+    groupBy: groupBy,
+    threshold: isNaN(threshold) ? DEFAULT_ATTENDANCE_THRESHOLD : threshold
+  };
+}
+
+const ABSENCE_ALERT_MODES = ['immediate', 'digest', 'off'];
+const DEFAULT_ALERT_SETTINGS = {
+  absence_mode: 'immediate',
+  threshold: DEFAULT_ATTENDANCE_THRESHOLD,
+  notify_admin: true,
+  digest_hour: 18,
+  last_digest_date: null
+};
+const PORTAL_URL = process.env.PORTAL_URL || `http://localhost:${PORT}`;
+
+// Attendance alert settings stored in the settings collection, merged over the defaults
+async function getAttendanceAlertSettings() {
+  const saved = await db.collection('settings').findOne({ _id: 'attendance_alerts' });
+  return { ...DEFAULT_ALERT_SETTINGS, ...(saved || {}) };
+}
+
+function formatAttendanceDate(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+// Record an alert in the send history; returns false if the key was already recorded
+async function claimNotification(entry) {
+  try {
+    await db.collection('notification_log').insertOne({ ...entry, status: 'pending', created_at: new Date() });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+async function finishNotification(key, sent) {
+  await db.collection('notification_log').updateOne(
+    { key: key },
+    { $set: { status: sent ? 'sent' : 'failed', sent_at: new Date() } }
+  );
+}
+
+// Email a student about a single absence
+async function sendAbsenceNotice(student, record) {
+  const key = `absence:${student.student_id}:${formatAttendanceDate(record.date)}:${record.subject}`;
+  const claimed = await claimNotification({
+    key: key,
+    type: 'absence',
+    student_id: student.student_id,
+    recipient: student.email,
+    details: `${record.subject} on ${formatAttendanceDate(record.date)}`
+  });
+  if (!claimed) return;
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1e3a8a;">Absence Recorded</h2>
+      <p>Dear ${escapeHtml(student.name)},</p>
+      <p>You were marked absent for the following class:</p>
+      <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <p><strong>Subject:</strong> ${escapeHtml(record.subject)}</p>
+        <p><strong>Date:</strong> ${formatAttendanceDate(record.date)}</p>
+        <p><strong>Time:</strong> ${escapeHtml(record.time)}</p>
+      </div>
+      <p>If you believe this is a mistake, please contact the admin.</p>
+      <p>View your attendance at: <a href="${PORTAL_URL}/student/attendance">My Attendance</a></p>
+      <p>Best regards,<br>Cloud Domain Portal Team</p>
+    </div>
+  `;
+
+  const sent = await sendEmail(student.email, `Absence Recorded: ${record.subject}`, emailHtml);
+  await finishNotification(key, sent);
+}
+
+// Alert once when a student's overall attendance falls below the threshold,
+// and re-arm the alert once they recover
+async function checkAttendanceThreshold(student, percentage, settings) {
+  const active = await db.collection('notification_log').findOne({
+    type: 'threshold',
+    student_id: student.student_id,
+    cleared_at: null
+  });
+
+  if (percentage >= settings.threshold) {
+    if (active) {
+      await db.collection('notification_log').updateMany(
+        { type: 'threshold', student_id: student.student_id, cleared_at: null },
+        { $set: { cleared_at: new Date() } }
+      );
     }
+    return;
+  }
+  if (active) return;
+
+  const key = `threshold:${student.student_id}:${Date.now()}`;
+  await claimNotification({
+    key: key,
+    type: 'threshold',
+    student_id: student.student_id,
+    recipient: student.email,
+    details: `${percentage}% (threshold ${settings.threshold}%)`,
+    cleared_at: null
+  });
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">Low Attendance Warning</h2>
+      <p>Dear ${escapeHtml(student.name)},</p>
+      <p>Your overall attendance has dropped below the required level.</p>
+      <div style="background: #fef2f2; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <p><strong>Current Attendance:</strong> ${percentage}%</p>
+        <p><strong>Required:</strong> ${settings.threshold}%</p>
+      </div>
+      <p>Attendance below the required level may affect your eligibility. Please attend upcoming classes regularly.</p>
+      <p>View your attendance at: <a href="${PORTAL_URL}/student/attendance">My Attendance</a></p>
+      <p>Best regards,<br>Cloud Domain Portal Team</p>
+    </div>
+  `;
+  const sent = await sendEmail(student.email, 'Low Attendance Warning', emailHtml);
+  await finishNotification(key, sent);
+
+  if (settings.notify_admin && process.env.ADMIN_EMAIL) {
+    const adminHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">Student Below Attendance Threshold</h2>
+        <p><strong>${escapeHtml(student.name)}</strong> (${escapeHtml(student.student_id)}, ${escapeHtml(student.department)} ${escapeHtml(student.batch_year)})
+          is now at <strong>${percentage}%</strong>, below the ${settings.threshold}% threshold.</p>
+        <p>View reports at: <a href="${PORTAL_URL}/admin/attendance/reports">Attendance Reports</a></p>
+      </div>
+    `;
+    await sendEmail(process.env.ADMIN_EMAIL, `Low Attendance: ${student.name}`, adminHtml);
+  }
+}
+
+// Run absence and threshold alerts for freshly saved attendance records
+async function processAttendanceAlerts(records) {
+  const settings = await getAttendanceAlertSettings();
+  const studentIds = [...new Set(records.map(record => record.student_id))];
+  const students = await db.collection('students').find({ student_id: { $in: studentIds }, ...ACTIVE_STUDENT_FILTER }).toArray();
+  const studentsById = new Map(students.map(student => [student.student_id, student]));
+
+  if (settings.absence_mode === 'immediate') {
+    for (const record of records.filter(record => record.status === 'absent')) {
+      const student = studentsById.get(record.student_id);
+      if (student) await sendAbsenceNotice(student, record);
+    }
+  }
+
+  const rows = await buildAttendanceReport({ studentIds, groupBy: 'student', threshold: settings.threshold });
+  for (const row of rows) {
+    const student = studentsById.get(row.key);
+    if (student) await checkAttendanceThreshold(student, row.percentage, settings);
+  }
+}
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late'];
+
+// Replace the attendance of one class (date, subject, batch) and record who changed it.
+// Records are updated in place so corrections and disputes stay linked to them.
+// Returns { error } for invalid input, otherwise { records }.
+async function saveAttendanceSession({ date, subject, batch, time, attendance }, req) {
+  if (!date || !subject || !batch || !time || !attendance || typeof attendance !== 'object') {
+    return { error: 'All fields are required' };
+  }
+  if (isNaN(new Date(date).getTime())) {
+    return { error: 'Invalid date' };
+  }
+  if (Object.values(attendance).some(status => !ATTENDANCE_STATUSES.includes(status))) {
+    return { error: 'Status must be present, absent or late' };
+  }
+  // Once subjects are set up in the timetable, attendance can only be taken against them
+  const subjects = await db.collection('subjects').find({ active: true }).project({ name: 1 }).toArray();
+  if (subjects.length > 0 && !subjects.some(item => item.name === subject)) {
+    return { error: `Unknown subject "${subject}". Add it to the timetable first.` };
+  }
+  const batchDoc = await resolveBatch(batch);
+  if (!batchDoc) {
+    return { error: `Unknown batch "${batch}". Add it under Batches & Departments first.` };
+  }
+  batch = batchDoc.code;
+
+  const sessionQuery = { date: new Date(date), subject: subject, batch: batch };
+  const previousRecords = await db.collection('attendance').find(sessionQuery).toArray();
+
+  // Save attendance records for each student
+  const attendanceRecords = Object.entries(attendance).map(([studentId, status]) => ({
+    student_id: studentId,
+    date: new Date(date),
+    subject: subject,
+    batch: batch,
+    time: time,
+    status: status,
+    marked_by: adminActor(req).name,
+    marked_by_id: adminActor(req).id,
+    created_at: new Date()
+  }));
+
+  if (attendanceRecords.length > 0) {
+    await db.collection('attendance').bulkWrite(attendanceRecords.map(({ created_at, ...record }) => ({
+      updateOne: {
+        filter: { ...sessionQuery, student_id: record.student_id },
+        update: { $set: { ...record, updated_at: new Date() }, $setOnInsert: { created_at: created_at } },
+        upsert: true
+      }
+    })));
+  }
+  // Students left out of the resubmitted sheet no longer have a record for this class
+  await db.collection('attendance').deleteMany({
+    ...sessionQuery,
+    student_id: { $nin: attendanceRecords.map(record => record.student_id) }
+  });
+
+  const statusesByStudent = (records) => Object.fromEntries(records.map(record => [record.student_id, record.status]));
+  await recordAudit(req, {
+    action: previousRecords.length > 0 ? 'attendance.overwrite' : 'attendance.mark',
+    targetType: 'attendance',
+    targetId: `${date}|${subject}|${batch}`,
+    label: `${subject} on ${date} (${batch})`,
+    studentIds: [...new Set([...previousRecords, ...attendanceRecords].map(record => record.student_id))],
+    before: previousRecords.length > 0
+      ? { time: previousRecords[0].time, marked_by: previousRecords[0].marked_by, statuses: statusesByStudent(previousRecords) }
+      : null,
+    after: { time: time, statuses: statusesByStudent(attendanceRecords) }
+  });
+  console.log(`✅ Attendance saved for ${attendanceRecords.length} students`);
+
+  // Alerts run in the background so saving isn't held up by email delivery
+  processAttendanceAlerts(attendanceRecords).catch(error => {
+    console.error('❌ Error sending attendance alerts:', error);
+  });
+
+  return { records: attendanceRecords };
+}
+
+const ATTENDANCE_DISPUTE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Past classes, one row per date, subject and batch, newest first
+async function listAttendanceSessions({ from, to, batch, subject }) {
+  const match = {};
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = new Date(from);
+    if (to) match.date.$lte = new Date(to);
+  }
+  if (batch) match.batch = batch;
+  if (subject) match.subject = subject;
+
+  const sessions = await db.collection('attendance').aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { date: '$date', subject: '$subject', batch: '$batch' },
+        time: { $first: '$time' },
+        marked_by: { $first: '$marked_by' },
+        total: { $sum: 1 },
+        present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+        corrected: { $sum: { $cond: [{ $ifNull: ['$corrected_at', false] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.date': -1, '_id.subject': 1, '_id.batch': 1 } },
+    { $limit: 200 }
+  ]).toArray();
+
+  return sessions.map(({ _id, ...counts }) => ({ ..._id, ...counts }));
+}
+
+// Change the status of one attendance record and keep a trail of who changed it and why.
+// Returns { error } for invalid input, otherwise { record }.
+async function correctAttendanceRecord(record, { status, reason, disputeId }, req) {
+  if (!ATTENDANCE_STATUSES.includes(status)) {
+    return { error: 'Status must be present, absent or late' };
+  }
+  if (!reason) {
+    return { error: 'A reason for the correction is required' };
+  }
+  if (record.status === status) {
+    return { error: `This record is already marked ${status}` };
+  }
+
+  const actor = adminActor(req);
+  await db.collection('attendance').updateOne(
+    { _id: record._id },
+    { $set: { status: status, corrected_at: new Date(), corrected_by: actor.name, updated_at: new Date() } }
+  );
+  await db.collection('attendance_corrections').insertOne({
+    record_id: record._id,
+    student_id: record.student_id,
+    date: record.date,
+    subject: record.subject,
+    batch: record.batch,
+    from: record.status,
+    to: status,
+    reason: reason,
+    dispute_id: disputeId || null,
+    corrected_by: { id: actor.id, name: actor.name },
+    created_at: new Date()
+  });
+  await recordAudit(req, {
+    action: 'attendance.correct',
+    targetType: 'attendance',
+    targetId: record._id,
+    label: `${record.student_id}: ${record.subject} on ${formatAttendanceDate(record.date)} (${record.batch})`,
+    studentIds: [record.student_id],
+    before: { status: record.status },
+    after: { status: status, reason: reason }
+  });
+
+  const corrected = { ...record, status: status };
+  processAttendanceAlerts([corrected]).catch(error => {
+    console.error('❌ Error sending attendance alerts:', error);
+  });
+  return { record: corrected };
+}
+
+// Tell a student whether their attendance dispute was accepted
+async function notifyDisputeDecision(dispute) {
+  const student = await db.collection('students').findOne({ student_id: dispute.student_id });
+  if (!student) return;
+
+  const approved = dispute.status === 'approved';
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1e3a8a;">Attendance Dispute ${approved ? 'Approved' : 'Rejected'}</h2>
+      <p>Dear ${escapeHtml(student.name)},</p>
+      <p>Your request to change your attendance for the following class has been ${approved ? 'approved' : 'rejected'}:</p>
+      <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+        <p><strong>Subject:</strong> ${escapeHtml(dispute.subject)}</p>
+        <p><strong>Date:</strong> ${formatAttendanceDate(dispute.date)}</p>
+        <p><strong>Status:</strong> ${approved ? dispute.requested_status : dispute.current_status}</p>
+        ${dispute.resolution_note ? `<p><strong>Note:</strong> ${escapeHtml(dispute.resolution_note)}</p>` : ''}
+      </div>
+      <p>View your attendance at: <a href="${PORTAL_URL}/student/attendance">My Attendance</a></p>
+      <p>Best regards,<br>Cloud Domain Portal Team</p>
+    </div>
+  `;
+  await sendEmail(student.email, `Attendance Dispute ${approved ? 'Approved' : 'Rejected'}: ${dispute.subject}`, emailHtml);
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const UNMARKED_LOOKBACK_DAYS = 14;
+
+// Midnight UTC of a calendar day, the same form attendance dates are stored in
+function scheduleDay(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : new Date(formatAttendanceDate(date));
+}
+
+// Check a weekly timetable slot, returns an error message or null
+function validateTimetableSlot({ subject, batch, weekday, start_time, end_time, valid_from, valid_to }) {
+  if (!subject || !batch || !start_time || !end_time) {
+    return 'Subject, batch, start and end time are required';
+  }
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    return 'Invalid day of the week';
+  }
+  if (!TIME_OF_DAY_PATTERN.test(start_time) || !TIME_OF_DAY_PATTERN.test(end_time)) {
+    return 'Times must be in HH:MM format';
+  }
+  if (end_time <= start_time) {
+    return 'End time must be after the start time';
+  }
+  if (!valid_from) {
+    return 'Invalid start date';
+  }
+  if (valid_to && valid_to < valid_from) {
+    return 'The end date must be after the start date';
+  }
+  return null;
+}
+
+// Read a timetable slot from a request body
+function parseTimetableSlotInput(body) {
+  return {
+    subject: String(body.subject || '').trim(),
+    batch: String(body.batch || '').trim(),
+    weekday: parseInt(body.weekday, 10),
+    start_time: body.start_time || '',
+    end_time: body.end_time || '',
+    room: String(body.room || '').trim(),
+    valid_from: scheduleDay(body.valid_from || new Date()),
+    valid_to: body.valid_to ? scheduleDay(body.valid_to) : null
+  };
+}
+
+// Point every record that names a subject at its new name; issued documents keep the name they were printed with
+async function renameSubjectEverywhere(from, to) {
+  await Promise.all([
+    db.collection('timetable_slots').updateMany({ subject: from }, { $set: { subject: to } }),
+    db.collection('attendance').updateMany({ subject: from }, { $set: { subject: to } }),
+    db.collection('attendance_pdfs').updateMany({ subject: from }, { $set: { subject: to } }),
+    db.collection('attendance_corrections').updateMany({ subject: from }, { $set: { subject: to } }),
+    db.collection('attendance_disputes').updateMany({ subject: from }, { $set: { subject: to } })
+  ]);
+}
+
+// Classes scheduled on one day, leaving out holidays; each says whether attendance was taken
+async function loadScheduledSessions(date, { batch } = {}) {
+  const day = scheduleDay(date);
+  const slotFilter = {
+    weekday: day.getUTCDay(),
+    valid_from: { $lte: day },
+    $or: [{ valid_to: null }, { valid_to: { $gte: day } }]
+  };
+  if (batch) slotFilter.batch = batch;
+
+  const [slots, holidays] = await Promise.all([
+    db.collection('timetable_slots').find(slotFilter).sort({ start_time: 1 }).toArray(),
+    db.collection('holidays').find({ date: day }).toArray()
+  ]);
+  const scheduled = slots.filter(slot => !holidays.some(holiday => holiday.batches.length === 0 || holiday.batches.includes(slot.batch)));
+
+  // Attendance is keyed by date, subject and batch, so two slots of one subject on a day share a register
+  const marked = scheduled.length > 0
+    ? await db.collection('attendance').aggregate([
+      { $match: { date: day, $or: scheduled.map(slot => ({ subject: slot.subject, batch: slot.batch })) } },
+      { $group: { _id: { subject: '$subject', batch: '$batch' } } }
+    ]).toArray()
+    : [];
+  const markedKeys = new Set(marked.map(group => `${group._id.subject}|${group._id.batch}`));
+
+  return {
+    date: day,
+    holidays: batch ? holidays.filter(holiday => holiday.batches.length === 0 || holiday.batches.includes(batch)) : holidays,
+    sessions: scheduled.map(slot => ({ ...slot, date: day, marked: markedKeys.has(`${slot.subject}|${slot.batch}`) }))
+  };
+}
+
+// A batch's classes and holidays for the coming days, skipping days with neither
+async function loadUpcomingSchedule(batch, days = 7) {
+  const today = scheduleDay(new Date());
+  const schedule = await Promise.all(Array.from({ length: days }, (_, offset) => (
+    loadScheduledSessions(new Date(today.getTime() + offset * 24 * 60 * 60 * 1000), { batch })
+  )));
+  return schedule.filter(day => day.sessions.length > 0 || day.holidays.length > 0);
+}
+
+// Scheduled classes in the last few days that nobody took attendance for
+async function findUnmarkedSessions(days = UNMARKED_LOOKBACK_DAYS) {
+  const today = scheduleDay(new Date());
+  const schedule = await Promise.all(Array.from({ length: days }, (_, offset) => (
+    loadScheduledSessions(new Date(today.getTime() - offset * 24 * 60 * 60 * 1000))
+  )));
+  return schedule.flatMap(day => day.sessions.filter(session => !session.marked));
+}
+
+const ISSUED_DOCUMENT_TYPES = {
+  attendance_statement: 'Attendance Statement',
+  attendance_register: 'Monthly Attendance Register',
+  assessment_certificate: 'Certificate of Completion'
+};
+const PORTAL_LOGO_PATH = path.join(__dirname, 'public', 'Engg_Logo1-removebg-preview.png');
+const ATTENDANCE_STATUS_LETTERS = { present: 'P', absent: 'A', late: 'L' };
+
+function formatVerificationCode(code) {
+  return code.match(/.{1,4}/g).join('-');
+}
+
+// Who generated a document, kept with its verification record
+function documentIssuer(req, audience) {
+  if (audience === 'student') {
+    return { type: 'student', id: req.session.studentId, name: req.session.studentName };
+  }
+  const actor = adminActor(req);
+  return { type: 'admin', id: actor.id, name: actor.name };
+}
+
+// Record a generated document so its verification code can be checked later.
+// details are the { label, value } lines shown on the public verification page.
+async function issueDocument({ type, studentId, title, details }, issuedBy) {
+  const code = crypto.randomBytes(6).toString('hex').toUpperCase();
+  await db.collection('issued_documents').insertOne({
+    code,
+    type,
+    title,
+    student_id: studentId || null,
+    details,
+    issued_by: issuedBy,
+    created_at: new Date()
+  });
+  return code;
+}
+
+// Read an optional from/to period for a statement, returns { error } or { from, to }
+function parseStatementPeriod(query) {
+  const from = query.from || null;
+  const to = query.to || null;
+  if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+    return { error: 'Invalid date' };
+  }
+  if (from && to && from > to) {
+    return { error: 'The start date must be before the end date' };
+  }
+  return { from, to };
+}
+
+// Attendance figures for one student, overall and per subject
+async function buildAttendanceStatement(studentId, { from, to }) {
+  const student = await db.collection('students').findOne({ student_id: studentId }, { projection: { password: 0 } });
+  if (!student) return null;
+
+  const settings = await getAttendanceAlertSettings();
+  const query = { from, to, studentIds: [studentId], threshold: settings.threshold };
+  const [overall, subjects] = await Promise.all([
+    buildAttendanceReport({ ...query, groupBy: 'student' }),
+    buildAttendanceReport({ ...query, groupBy: 'subject' })
+  ]);
+
+  return {
+    student,
+    from,
+    to,
+    threshold: settings.threshold,
+    overall: overall[0] || { total: 0, present: 0, absent: 0, late: 0, percentage: 0 },
+    subjects
+  };
+}
+
+// One row per student and one column per class day of the month.
+// A day with one class shows its status letter, a busier day shows classes attended of held.
+async function buildAttendanceRegister({ batch, month, subject }) {
+  const start = new Date(`${month}-01`);
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  const recordFilter = { batch, date: { $gte: start, $lt: end } };
+  if (subject) recordFilter.subject = subject;
+
+  const [students, records] = await Promise.all([
+    db.collection('students')
+      .find({ batch_year: batch, ...ACTIVE_STUDENT_FILTER }, { projection: { student_id: 1, name: 1 } })
+      .toArray(),
+    db.collection('attendance')
+      .find(recordFilter, { projection: { student_id: 1, date: 1, subject: 1, status: 1 } })
+      .toArray()
+  ]);
+
+  const days = [...new Set(records.map(record => new Date(record.date).getUTCDate()))].sort((a, b) => a - b);
+  const names = Object.fromEntries(students.map(student => [student.student_id, student.name]));
+  const studentIds = [...new Set([...students.map(student => student.student_id), ...records.map(record => record.student_id)])].sort();
+
+  const rows = studentIds.map(studentId => {
+    const own = records.filter(record => record.student_id === studentId);
+    const attended = own.filter(record => record.status !== 'absent').length;
+    const cells = days.map(day => {
+      const onDay = own.filter(record => new Date(record.date).getUTCDate() === day);
+      if (onDay.length === 0) return '';
+      if (onDay.length === 1) return ATTENDANCE_STATUS_LETTERS[onDay[0].status];
+      return `${onDay.filter(record => record.status !== 'absent').length}/${onDay.length}`;
+    });
+    return {
+      student_id: studentId,
+      name: names[studentId] || '',
+      cells,
+      attended,
+      total: own.length,
+      percentage: own.length > 0 ? Math.round((attended / own.length) * 1000) / 10 : 0
+    };
+  });
+
+  return { batch, month, subject, start, days, rows, classes: new Set(records.map(record => `${record.date}|${record.subject}`)).size };
+}
+
+// Start a PDF with the portal letterhead
+function createPdfDocument({ title, subtitle, layout = 'portrait' }) {
+  const doc = new PDFDocument({ size: 'A4', layout, margin: 40, bufferPages: true, info: { Title: title } });
+
+  if (fs.existsSync(PORTAL_LOGO_PATH)) {
+    doc.image(PORTAL_LOGO_PATH, doc.page.margins.left, 30, { height: 40 });
+  }
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#1e3a8a')
+    .text('Cloud Domain Portal', doc.page.margins.left + 50, 34);
+  doc.font('Helvetica').fontSize(10).fillColor('#555555').text(title);
+  doc.moveTo(doc.page.margins.left, 80).lineTo(doc.page.width - doc.page.margins.right, 80)
+    .strokeColor('#1e3a8a').lineWidth(1).stroke();
+
+  doc.x = doc.page.margins.left;
+  doc.y = 95;
+  if (subtitle) {
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000').text(subtitle);
+    doc.moveDown(0.5);
+  }
+  doc.font('Helvetica').fontSize(10).fillColor('#000000');
+  return doc;
+}
+
+// Draw a table, repeating the header row on every new page
+function drawPdfTable(doc, columns, rows, { fontSize = 9 } = {}) {
+  const left = doc.page.margins.left;
+  const rowHeight = fontSize + 8;
+
+  const drawRow = (cells, bold) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+      doc.y = doc.page.margins.top;
+      drawRow(columns.map(column => column.header), true);
+    }
+    const y = doc.y;
+    if (bold) {
+      doc.rect(left, y, columns.reduce((sum, column) => sum + column.width, 0), rowHeight).fill('#e8eefc');
+    }
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize).fillColor('#000000');
+    let x = left;
+    columns.forEach((column, index) => {
+      doc.text(String(cells[index] ?? ''), x + 2, y + 4, {
+        width: column.width - 4,
+        height: fontSize + 2,
+        align: column.align || 'left',
+        ellipsis: true
+      });
+      x += column.width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).strokeColor('#dddddd').lineWidth(0.5).stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(row => drawRow(row, false));
+  doc.moveDown();
+}
+
+// Stamp the verification code on every page and send the file
+function sendPdfDocument(res, doc, { filename, code }) {
+  const verifyUrl = `${PORTAL_URL}/verify?code=${formatVerificationCode(code)}`;
+  const generatedAt = new Date().toLocaleString('en-IN');
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const footer = { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center', lineBreak: false };
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+      .text(`Verification code ${formatVerificationCode(code)} - check it at ${verifyUrl}`, doc.page.margins.left, doc.page.height - 34, footer)
+      .text(`Generated ${generatedAt}   |   Page ${index - range.start + 1} of ${range.count}`, doc.page.margins.left, doc.page.height - 24, footer);
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  // The name carries student IDs and batch labels, so let Express quote and encode it
+  res.attachment(filename);
+  doc.pipe(res);
+  doc.end();
+}
+
+function formatStatementPeriod({ from, to }) {
+  if (from && to) return `${from} to ${to}`;
+  if (from) return `From ${from}`;
+  if (to) return `Up to ${to}`;
+  return 'All recorded classes';
+}
+
+// Attendance statement for one student
+async function sendAttendanceStatementPdf(res, statement, issuedBy) {
+  const { student, overall } = statement;
+  const period = formatStatementPeriod(statement);
+  const code = await issueDocument({
+    type: 'attendance_statement',
+    studentId: student.student_id,
+    title: `Attendance statement for ${student.name}`,
+    details: [
+      { label: 'Student', value: `${student.name} (${student.student_id})` },
+      { label: 'Period', value: period },
+      { label: 'Attendance', value: `${overall.percentage}% (${overall.present + overall.late} of ${overall.total} classes)` }
+    ]
+  }, issuedBy);
+
+  const doc = createPdfDocument({ title: ISSUED_DOCUMENT_TYPES.attendance_statement, subtitle: 'Attendance Statement' });
+  [
+    ['Name', student.name],
+    ['Student ID', student.student_id],
+    ['Department', student.department || '-'],
+    ['Batch', `${student.batch_year || '-'}${student.year ? ` (${student.year})` : ''}`],
+    ['Period', period]
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+  });
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Summary');
+  doc.moveDown(0.3);
+  drawPdfTable(doc, [
+    { header: 'Classes', width: 100, align: 'right' },
+    { header: 'Present', width: 100, align: 'right' },
+    { header: 'Late', width: 100, align: 'right' },
+    { header: 'Absent', width: 100, align: 'right' },
+    { header: 'Attendance', width: 115, align: 'right' }
+  ], [[overall.total, overall.present, overall.late, overall.absent, `${overall.percentage}%`]]);
+
+  doc.font('Helvetica-Bold').fontSize(12).text('By Subject');
+  doc.moveDown(0.3);
+  drawPdfTable(doc, [
+    { header: 'Subject', width: 195 },
+    { header: 'Classes', width: 64, align: 'right' },
+    { header: 'Present', width: 64, align: 'right' },
+    { header: 'Late', width: 64, align: 'right' },
+    { header: 'Absent', width: 64, align: 'right' },
+    { header: 'Attendance', width: 64, align: 'right' }
+  ], statement.subjects.map(row => [row.key, row.total, row.present, row.late, row.absent, `${row.percentage}%`]));
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Late arrivals count as attended. The minimum required attendance is ${statement.threshold}%.`);
+
+  sendPdfDocument(res, doc, { filename: `attendance-statement-${student.student_id}.pdf`, code });
+}
+
+// Monthly attendance register for a batch
+async function sendAttendanceRegisterPdf(res, register, issuedBy) {
+  const monthLabel = register.start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const scope = `Batch ${register.batch}, ${monthLabel}${register.subject ? `, ${register.subject}` : ''}`;
+  const code = await issueDocument({
+    type: 'attendance_register',
+    title: `Attendance register for ${scope}`,
+    details: [
+      { label: 'Batch', value: register.batch },
+      { label: 'Month', value: monthLabel },
+      { label: 'Subject', value: register.subject || 'All subjects' },
+      { label: 'Students', value: String(register.rows.length) },
+      { label: 'Classes', value: String(register.classes) }
+    ]
+  }, issuedBy);
+
+  const doc = createPdfDocument({ title: ISSUED_DOCUMENT_TYPES.attendance_register, subtitle: `Attendance Register - ${scope}`, layout: 'landscape' });
+  const available = doc.page.width - doc.page.margins.left - doc.page.margins.right - 60 - 130 - 105;
+  const dayWidth = register.days.length > 0 ? Math.min(available / register.days.length, 30) : 30;
+  drawPdfTable(doc, [
+    { header: 'Student ID', width: 60 },
+    { header: 'Name', width: 130 },
+    ...register.days.map(day => ({ header: String(day), width: dayWidth, align: 'center' })),
+    { header: 'Attended', width: 40, align: 'right' },
+    { header: 'Held', width: 30, align: 'right' },
+    { header: '%', width: 35, align: 'right' }
+  ], register.rows.map(row => [row.student_id, row.name, ...row.cells, row.attended, row.total, row.percentage]), { fontSize: 7 });
+
+  doc.font('Helvetica').fontSize(8).fillColor('#555555')
+    .text('P present, L late, A absent. Days with more than one class show classes attended of classes held.');
+
+  sendPdfDocument(res, doc, { filename: `attendance-register-${register.batch}-${register.month}.pdf`, code });
+}
+
+// Certificate for a completed assessment attempt
+async function sendAssessmentCertificatePdf(res, attempt, student, issuedBy) {
+  const completedOn = new Date(attempt.completed_at).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  const code = await issueDocument({
+    type: 'assessment_certificate',
+    studentId: student.student_id,
+    title: `Certificate of completion for ${attempt.assessment_title}`,
+    details: [
+      { label: 'Student', value: `${student.name} (${student.student_id})` },
+      { label: 'Assessment', value: `${attempt.assessment_title} (${attempt.level} level)` },
+      { label: 'Score', value: `${attempt.score}/${attempt.total} (${attempt.percentage}%)` },
+      { label: 'Completed', value: completedOn }
+    ]
+  }, issuedBy);
+
+  const doc = createPdfDocument({ title: ISSUED_DOCUMENT_TYPES.assessment_certificate, layout: 'landscape' });
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.rect(30, 88, doc.page.width - 60, doc.page.height - 130).strokeColor('#1e3a8a').lineWidth(3).stroke();
+
+  doc.y = 140;
+  doc.font('Helvetica-Bold').fontSize(30).fillColor('#1e3a8a').text('Certificate of Completion', { width, align: 'center' });
+  doc.moveDown(1.2);
+  doc.font('Helvetica').fontSize(14).fillColor('#000000').text('This is to certify that', { width, align: 'center' });
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(24).text(student.name, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(11).fillColor('#555555')
+    .text(`${student.student_id}${student.department ? ` - ${student.department}` : ''}`, { width, align: 'center' });
+  doc.moveDown(0.8);
+  doc.fontSize(14).fillColor('#000000').text('has completed the assessment', { width, align: 'center' });
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(20).text(attempt.assessment_title, { width, align: 'center' });
+  doc.moveDown(0.6);
+  doc.font('Helvetica').fontSize(13)
+    .text(`at ${attempt.level} level, scoring ${attempt.score} out of ${attempt.total} (${attempt.percentage}%), on ${completedOn}.`, { width, align: 'center' });
+
+  sendPdfDocument(res, doc, { filename: `certificate-${student.student_id}-${attempt._id}.pdf`, code });
+}
+
+// Send one email per student covering absences not yet notified
+async function sendAbsenceDigests() {
+  const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const absences = await db.collection('attendance')
+    .find({ status: 'absent', created_at: { $gte: since } })
+    .sort({ date: 1 })
+    .toArray();
+
+  const keyed = absences.map(record => ({
+    record,
+    key: `absence:${record.student_id}:${formatAttendanceDate(record.date)}:${record.subject}`
+  }));
+  const notified = await db.collection('notification_log')
+    .find({ key: { $in: keyed.map(item => item.key) } }, { projection: { key: 1 } })
+    .toArray();
+  const notifiedKeys = new Set(notified.map(entry => entry.key));
+
+  const pendingByStudent = new Map();
+  keyed.filter(item => !notifiedKeys.has(item.key)).forEach(item => {
+    if (!pendingByStudent.has(item.record.student_id)) pendingByStudent.set(item.record.student_id, []);
+    pendingByStudent.get(item.record.student_id).push(item);
+  });
+
+  const students = await db.collection('students')
+    .find({ student_id: { $in: [...pendingByStudent.keys()] }, ...ACTIVE_STUDENT_FILTER })
+    .toArray();
+
+  let sentCount = 0;
+  for (const student of students) {
+    const items = pendingByStudent.get(student.student_id);
+    const claimed = [];
+    for (const item of items) {
+      const ok = await claimNotification({
+        key: item.key,
+        type: 'absence',
+        via: 'digest',
+        student_id: student.student_id,
+        recipient: student.email,
+        details: `${item.record.subject} on ${formatAttendanceDate(item.record.date)}`
+      });
+      if (ok) claimed.push(item);
+    }
+    if (claimed.length === 0) continue;
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1e3a8a;">Attendance Summary</h2>
+        <p>Dear ${escapeHtml(student.name)},</p>
+        <p>You were marked absent for the following classes:</p>
+        <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+          ${claimed.map(item => `
+            <p><strong>${formatAttendanceDate(item.record.date)}</strong> - ${escapeHtml(item.record.subject)} (${escapeHtml(item.record.time)})</p>
+          `).join('')}
+        </div>
+        <p>If you believe any of these are a mistake, please contact the admin.</p>
+        <p>View your attendance at: <a href="${PORTAL_URL}/student/attendance">My Attendance</a></p>
+        <p>Best regards,<br>Cloud Domain Portal Team</p>
+      </div>
+    `;
+
+    const sent = await sendEmail(student.email, 'Attendance Summary: Absences Recorded', emailHtml);
+    for (const item of claimed) {
+      await finishNotification(item.key, sent);
+    }
+    if (sent) sentCount++;
+  }
+
+  return sentCount;
+}
+
+// Send the daily digest once per day after the configured hour
+async function runScheduledDigest() {
+  if (!db) return;
+
+  try {
+    const settings = await getAttendanceAlertSettings();
+    const now = new Date();
+    const today = formatAttendanceDate(now);
+
+    if (settings.absence_mode !== 'digest' || now.getHours() < settings.digest_hour || settings.last_digest_date === today) {
+      return;
+    }
+
+    await db.collection('settings').updateOne(
+      { _id: 'attendance_alerts' },
+      { $set: { last_digest_date: today } },
+      { upsert: true }
+    );
+    const sentCount = await sendAbsenceDigests();
+    console.log(`✅ Absence digest sent to ${sentCount} students`);
+  } catch (error) {
+    console.error('❌ Error sending absence digest:', error);
+  }
+}
+
+// Middleware to check admin authentication
+const requireAdmin = (req, res, next) => {
+  if (req.session.isAdmin) {
+    next();
+  } else {
+    res.redirect('/admin');
+  }
+};
+
+const ADMIN_ROLES = {
+  'super-admin': { label: 'Super Admin', areas: ['*'] },
+  faculty: { label: 'Faculty', areas: ['attendance'] },
+  mentor: { label: 'Mentor', areas: ['tickets', 'tasks'] }
+};
+
+function adminCan(role, area) {
+  const roleConfig = ADMIN_ROLES[role];
+  return !!roleConfig && (roleConfig.areas.includes('*') || roleConfig.areas.includes(area));
+}
+
+// Middleware restricting an admin route to roles that can access the given area
+const requirePermission = (area) => (req, res, next) => {
+  if (adminCan(req.session.adminRole, area)) {
+    return next();
+  }
+  if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+    return res.status(403).send('You do not have access to this page');
+  }
+  res.status(403).json({ error: 'You do not have permission to perform this action' });
+};
+
+// The signed-in admin user (session or API token), for recording who performed an action
+function adminActor(req) {
+  if (req.apiUser) {
+    return { id: req.apiUser.id, name: req.apiUser.name, email: req.apiUser.email, role: req.apiUser.role };
+  }
+  return {
+    id: req.session.adminId,
+    name: req.session.adminName,
+    email: req.session.adminEmail,
+    role: req.session.adminRole
+  };
+}
+
+// Copy of a document for the audit log, without credentials
+function auditSnapshot(value) {
+  if (Array.isArray(value)) {
+    return value.map(auditSnapshot);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || value instanceof ObjectId) {
+    return value;
+  }
+  const { password, ...rest } = value;
+  return rest;
+}
+
+// Append an entry to the audit log; a logging failure never blocks the action itself
+async function recordAudit(req, { action, targetType, targetId, label, studentIds, before, after }) {
+  try {
+    await db.collection('audit_log').insertOne({
+      actor: adminActor(req),
+      action: action,
+      target_type: targetType,
+      target_id: targetId != null ? String(targetId) : null,
+      target_label: label || '',
+      student_ids: studentIds || [],
+      before: before !== undefined ? auditSnapshot(before) : null,
+      after: after !== undefined ? auditSnapshot(after) : null,
+      ip: req.ip,
+      user_agent: req.get('user-agent') || '',
+      created_at: new Date()
+    });
+  } catch (error) {
+    console.error('❌ Error writing audit log:', error);
+  }
+}
+
+// Middleware to check student authentication
+const requireStudent = (req, res, next) => {
+  if (req.session.studentId) {
+    // Students still on an admin-issued password must change it before anything else
+    if (req.session.mustChangePassword && req.path !== '/student/change-password') {
+      return res.redirect('/student/change-password');
+    }
+    next();
+  } else {
+    res.redirect('/student-login');
+  }
+};
+
+// Middleware to check senior authentication
+const requireSenior = (req, res, next) => {
+  if (req.session.seniorId) {
+    next();
+  } else {
+    res.redirect('/senior-login');
+  }
+};
+
+// Database health check middleware
+const checkDatabase = (req, res, next) => {
+  if (!db) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  next();
+};
+
+// Store where and on what a session signed in, shown in the user's session list
+function recordSessionDevice(req) {
+  req.session.signedInAt = new Date();
+  req.session.lastSeenAt = new Date();
+  req.session.ip = req.ip;
+  req.session.userAgent = req.get('user-agent') || '';
+}
+
+// Short "Browser on OS" label for a user-agent string
+function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+  const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+  const systems = [['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+  return `${browser ? browser[0] : 'Unknown browser'} on ${system ? system[0] : 'unknown system'}`;
+}
+
+// Filter for the stored sessions of one signed-in user; type is 'student', 'senior' or 'admin'
+function sessionOwnerFilter(type, id) {
+  const field = { student: 'session.studentId', senior: 'session.seniorId', admin: 'session.adminId' }[type];
+  return { [field]: id };
+}
+
+// A user's active sessions, most recently used first. Ids are hashed so raw session ids never reach the page
+async function listUserSessions(req, type, id) {
+  const stored = await db.collection('sessions')
+    .find({ ...sessionOwnerFilter(type, id), expires: { $gt: new Date() } })
+    .toArray();
+
+  return stored
+    .map(doc => ({
+      id: hashToken(doc._id),
+      current: doc._id === req.sessionID,
+      device: describeUserAgent(doc.session.userAgent),
+      ip: doc.session.ip || '',
+      signed_in_at: doc.session.signedInAt || null,
+      last_seen_at: doc.session.lastSeenAt || null
+    }))
+    .sort((a, b) => new Date(b.last_seen_at || 0) - new Date(a.last_seen_at || 0));
+}
+
+// Sign a user out everywhere except keepSessionId, including API refresh tokens; returns the number of sessions ended
+async function revokeUserSessions(type, id, keepSessionId) {
+  const filter = sessionOwnerFilter(type, id);
+  if (keepSessionId) {
+    filter._id = { $ne: keepSessionId };
+  }
+
+  const [result] = await Promise.all([
+    db.collection('sessions').deleteMany(filter),
+    db.collection('api_refresh_tokens').deleteMany({ user_type: type, user_id: id })
+  ]);
+  return result.deletedCount;
+}
+
+// End one of a user's sessions by the hashed id from listUserSessions
+async function revokeUserSession(type, id, hashedId) {
+  const stored = await db.collection('sessions')
+    .find(sessionOwnerFilter(type, id), { projection: { _id: 1 } })
+    .toArray();
+  const match = stored.find(doc => hashToken(doc._id) === hashedId);
+  if (!match) {
+    return false;
+  }
+
+  await db.collection('sessions').deleteOne({ _id: match._id });
+  return true;
+}
+
+// Routes
+
+// Serve main website
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+const ENQUIRY_TYPES = {
+  admission: 'Admission',
+  partnership: 'Partnership',
+  general: 'General'
+};
+const ENQUIRY_STATUSES = ['new', 'open', 'closed'];
+const CONTACT_MAX_PER_HOUR = 5;
+
+// Check the public contact form, returns an error message or null
+function validateEnquiryInput({ name, email, type, message }) {
+  if (!name || !email || !message) {
+    return 'Name, email and message are required';
+  }
+  if (name.length > 100) {
+    return 'Name must be 100 characters or fewer';
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return 'Please enter a valid email address';
+  }
+  if (type && !ENQUIRY_TYPES[type]) {
+    return 'Invalid enquiry type';
+  }
+  if (message.length < 10 || message.length > 5000) {
+    return 'Message must be between 10 and 5000 characters';
+  }
+  return null;
+}
+
+// Public check of the verification code printed on a generated PDF
+app.get('/verify', checkDatabase, async (req, res) => {
+  try {
+    const code = String(req.query.code || '').toUpperCase().replace(/[^0-9A-F]/g, '');
+    const issued = code ? await db.collection('issued_documents').findOne({ code }) : null;
+
+    res.render('document-verify', {
+      code: code ? formatVerificationCode(code) : '',
+      issued,
+      typeLabel: issued ? ISSUED_DOCUMENT_TYPES[issued.type] : ''
+    });
+  } catch (error) {
+    console.error('❌ Error verifying document:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Public contact form submission
+app.post('/contact', checkDatabase, async (req, res) => {
+  const respond = (status, body) => (req.is('json')
+    ? res.status(status).json(body)
+    : res.redirect(`/contact.html?${status === 200 ? 'sent=1' : 'error=1'}`));
+
+  try {
+    // Bots fill in the hidden "website" field; pretend it worked so they do not retry
+    if (req.body.website) {
+      return respond(200, { success: true, message: 'Thank you! We will get back to you soon.' });
+    }
+
+    const enquiry = {
+      name: String(req.body.name || '').trim(),
+      email: String(req.body.email || '').trim().toLowerCase(),
+      phone: String(req.body.phone || '').trim().slice(0, 30),
+      type: req.body.type || 'general',
+      message: String(req.body.message || '').trim()
+    };
+    const validationError = validateEnquiryInput(enquiry);
+    if (validationError) {
+      return respond(400, { error: validationError });
+    }
+
+    const recent = await db.collection('enquiries').countDocuments({
+      ip: req.ip,
+      created_at: { $gt: new Date(Date.now() - 60 * 60 * 1000) }
+    });
+    if (recent >= CONTACT_MAX_PER_HOUR) {
+      return respond(429, { error: 'Too many messages from your network. Please try again in an hour.' });
+    }
+
+    const { insertedId } = await db.collection('enquiries').insertOne({
+      ...enquiry,
+      status: 'new',
+      assigned_to: null,
+      replies: [],
+      ip: req.ip,
+      user_agent: req.get('user-agent') || '',
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    if (process.env.ADMIN_EMAIL) {
+      const adminHtml = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #1e3a8a;">New ${ENQUIRY_TYPES[enquiry.type]} Enquiry</h2>
+          <p><strong>${escapeHtml(enquiry.name)}</strong> (${escapeHtml(enquiry.email)}) wrote:</p>
+          <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0; white-space: pre-line;">${escapeHtml(enquiry.message)}</div>
+          <p><a href="${PORTAL_URL}/admin/enquiries/${insertedId}">Open in the enquiries inbox</a></p>
+        </div>
+      `;
+      await sendEmail(process.env.ADMIN_EMAIL, `New Enquiry: ${enquiry.name}`, adminHtml);
+    }
+
+    console.log('✅ Enquiry received from:', enquiry.email);
+    respond(200, { success: true, message: 'Thank you! We will get back to you soon.' });
+  } catch (error) {
+    console.error('❌ Error saving enquiry:', error);
+    respond(500, { error: 'Failed to send your message. Please try again.' });
+  }
+});
+
+const LOGIN_WINDOW_MINUTES = 15;
+const LOGIN_ACCOUNT_MAX_FAILURES = 5;
+const LOGIN_IP_SLOW_AFTER_FAILURES = 50;
+const LOGIN_IP_MAX_DELAY_SECONDS = 10;
+const LOGIN_BASE_LOCK_MINUTES = 15;
+const LOGIN_MAX_LOCK_MINUTES = 24 * 60;
+const OTP_MAX_ATTEMPTS = 5;
+
+// Throttle keys look like 'ip:1.2.3.4', 'student:24CS001', 'admin:someone@example.com'
+function loginAccountKey(type, id) {
+  const value = String(id || '').trim();
+  return `${type}:${type === 'student' ? value : value.toLowerCase()}`;
+}
+
+function formatLockDuration(until) {
+  const seconds = retryAfterSeconds({ locked_until: until });
+  if (seconds < 60) {
+    return `${seconds} seconds`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return minutes >= 120 ? `${Math.ceil(minutes / 60)} hours` : `${minutes} minutes`;
+}
+
+// Whole seconds until a lock ends, for the Retry-After header
+function retryAfterSeconds(lock) {
+  return Math.max(Math.ceil((new Date(lock.locked_until) - Date.now()) / 1000), 1);
+}
+
+// The lock currently blocking this account, or null. A whole campus can share one IP,
+// so an IP with many recent failures is never locked out: it just has to wait a few seconds
+// after each failure, and is told so with a 429 rather than being held open on the server.
+async function findLoginLock(req, accountKey) {
+  const [lock, ipRecord] = await Promise.all([
+    db.collection('login_throttle').findOne({ key: accountKey, locked_until: { $gt: new Date() } }),
+    db.collection('login_throttle').findOne({
+      key: `ip:${req.ip}`,
+      failures: { $gte: LOGIN_IP_SLOW_AFTER_FAILURES },
+      window_started_at: { $gte: new Date(Date.now() - LOGIN_WINDOW_MINUTES * 60 * 1000) }
+    })
+  ]);
+
+  if (lock || !ipRecord) {
+    return lock;
+  }
+
+  const seconds = Math.min(ipRecord.failures - LOGIN_IP_SLOW_AFTER_FAILURES + 1, LOGIN_IP_MAX_DELAY_SECONDS);
+  const waitUntil = new Date(new Date(ipRecord.last_failure_at).getTime() + seconds * 1000);
+  return waitUntil > new Date() ? { key: ipRecord.key, locked_until: waitUntil } : null;
+}
+
+function loginLockMessage(lock) {
+  return `Too many failed attempts. Try again in ${formatLockDuration(lock.locked_until)}.`;
+}
+
+// Count a failure inside the current window, starting a new window if the last one has run out
+async function bumpLoginFailures(key, details) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_WINDOW_MINUTES * 60 * 1000);
+
+  await db.collection('login_throttle').updateOne(
+    { key: key, window_started_at: { $lt: windowStart } },
+    { $set: { failures: 0, window_started_at: now } }
+  );
+  return db.collection('login_throttle').findOneAndUpdate(
+    { key: key },
+    {
+      $inc: { failures: 1 },
+      $set: { ...details, last_failure_at: now },
+      $setOnInsert: { window_started_at: now, lockouts: 0, locked_until: null }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+// Record a failed login. Each repeated account lockout lasts twice as long as the one before,
+// and the owner is emailed when it happens.
+async function recordLoginFailure(req, accountKey, owner) {
+  const ipRecord = await bumpLoginFailures(`ip:${req.ip}`, { kind: 'ip', label: req.ip });
+  if (ipRecord.failures === LOGIN_IP_SLOW_AFTER_FAILURES) {
+    console.log('⚠️  Logins slowed down for IP:', req.ip);
+  }
+
+  const accountRecord = await bumpLoginFailures(accountKey, {
+    kind: accountKey.split(':')[0],
+    label: accountKey.slice(accountKey.indexOf(':') + 1),
+    last_ip: req.ip
+  });
+  if (accountRecord.failures < LOGIN_ACCOUNT_MAX_FAILURES) return;
+
+  const lockMinutes = Math.min(LOGIN_BASE_LOCK_MINUTES * 2 ** accountRecord.lockouts, LOGIN_MAX_LOCK_MINUTES);
+  const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  await db.collection('login_throttle').updateOne(
+    { _id: accountRecord._id },
+    { $set: { failures: 0, locked_until: lockedUntil }, $inc: { lockouts: 1 } }
+  );
+  console.log('🔒 Login locked for account:', accountKey);
+
+  if (owner && owner.email) {
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1e3a8a;">Account Temporarily Locked</h2>
+        <p>Dear ${escapeHtml(owner.name || 'user')},</p>
+        <p>We saw ${LOGIN_ACCOUNT_MAX_FAILURES} failed login attempts on your Cloud Domain Portal account,
+           so logins are blocked until <strong>${lockedUntil.toLocaleString('en-IN')}</strong>.</p>
+        <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+          <p><strong>Last attempt from:</strong> ${escapeHtml(req.ip)}</p>
+        </div>
+        <p>If this was you, wait and try again. If not, change your password once you can log in,
+           or ask an admin to clear the lock.</p>
+        <p>Best regards,<br>Cloud Domain Portal Team</p>
+      </div>
+    `;
+    await sendEmail(owner.email, 'Account Locked - Cloud Domain Portal', emailHtml);
+  }
+}
+
+const RESET_CODE_INTERVAL_SECONDS = 60;
+const RESET_CODES_PER_HOUR = 5;
+
+// Allow one more reset code for each key (account and IP), or return why not.
+// Requests are kept under 'reset:' keys so they never count as login failures.
+async function claimResetCodeRequest(keys) {
+  const now = new Date();
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+  const throttleKeys = keys.map(key => `reset:${key}`);
+
+  const records = await db.collection('login_throttle').find({ key: { $in: throttleKeys } }).toArray();
+  for (const record of records) {
+    if (record.last_code_at && now - record.last_code_at < RESET_CODE_INTERVAL_SECONDS * 1000) {
+      return 'Please wait a minute before requesting another code.';
+    }
+    if (record.code_window_started_at > hourAgo && record.code_requests >= RESET_CODES_PER_HOUR) {
+      return 'Too many reset codes requested. Please try again later.';
+    }
+  }
+
+  await Promise.all(throttleKeys.map(async key => {
+    await db.collection('login_throttle').updateOne(
+      { key: key, code_window_started_at: { $lt: hourAgo } },
+      { $set: { code_requests: 0, code_window_started_at: now } }
+    );
+    await db.collection('login_throttle').updateOne(
+      { key: key },
+      {
+        $inc: { code_requests: 1 },
+        // last_failure_at lets the TTL index expire the record
+        $set: { kind: 'reset', label: key.slice('reset:'.length), last_code_at: now, last_failure_at: now },
+        $setOnInsert: { code_window_started_at: now }
+      },
+      { upsert: true }
+    );
+  }));
+  return null;
+}
+
+// Forget failures for an account after a successful login or password reset
+async function clearLoginFailures(accountKey) {
+  await db.collection('login_throttle').deleteOne({ key: accountKey });
+}
+
+// Check a one-time code. Wrong guesses are counted and the code is thrown away after OTP_MAX_ATTEMPTS.
+// Returns 'valid', 'invalid' or 'exhausted'.
+async function checkOtpAttempt(collectionName, filter, otp) {
+  const record = await db.collection(collectionName).findOne({ ...filter, expires_at: { $gt: new Date() } });
+  if (!record) return 'invalid';
+  if (otp && String(otp).trim() === record.otp) return 'valid';
+
+  const updated = await db.collection(collectionName).findOneAndUpdate(
+    { _id: record._id },
+    { $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  );
+  if (updated && updated.attempts >= OTP_MAX_ATTEMPTS) {
+    await db.collection(collectionName).deleteOne({ _id: record._id });
+    return 'exhausted';
+  }
+  return 'invalid';
+}
+
+// Generate, store and email a 10-minute admin login OTP
+async function sendAdminLoginOtp(email) {
+  const otp = generateOTP();
+  const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
+
+  await db.collection('admin_otps').deleteMany({ email: email }); // Remove old OTPs
+  await db.collection('admin_otps').insertOne({
+    email: email,
+    otp: otp,
+    expires_at: expiresAt,
+    created_at: new Date()
+  });
+
+  // Send OTP via email
+  const emailSent = await sendTemplatedEmail(email, 'admin_login_otp', { otp: otp, expires_minutes: 10 });
+  return { otp, emailSent };
+}
+
+// Admin login route
+app.get('/admin', (req, res) => {
+  res.render('admin-login');
+});
+
+// Admin login POST - Step 1: Verify credentials and send OTP
+app.post('/admin/login', checkDatabase, async (req, res) => {
+  const { username, password } = req.body;
+  
+  try {
+    const accountKey = loginAccountKey('admin', username);
+    const lock = await findLoginLock(req, accountKey);
+    if (lock) {
+      res.set('Retry-After', String(retryAfterSeconds(lock)));
+      return res.status(429).json({ error: loginLockMessage(lock) });
+    }
+
+    // Check admin credentials from database
+    const admin = await db.collection('admin_users').findOne({ email: username });
+    const passwordMatches = Boolean(admin) && await bcrypt.compare(password || '', admin.password);
+
+    // Only say an account is disabled to someone who already knows its password
+    if (passwordMatches && admin.active === false) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    if (passwordMatches) {
+      const { otp, emailSent } = await sendAdminLoginOtp(username);
+      
+      if (emailSent || !transporter) {
+        req.session.pendingAdminEmail = username;
+        res.json({ 
+          success: true, 
+          requireOTP: true,
+          message: emailSent ? 'OTP sent to your email' : 'OTP: ' + otp + ' (Email not configured)'
+        });
+      } else {
+        res.status(500).json({ error: 'Failed to send OTP email' });
+      }
+    } else {
+      await recordLoginFailure(req, accountKey, admin);
+      res.status(401).json({ error: 'Invalid credentials' });
+    }
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin OTP verification
+app.post('/admin/verify-otp', checkDatabase, async (req, res) => {
+  const { otp } = req.body;
+  const email = req.session.pendingAdminEmail;
+  
+  try {
+    if (!email) {
+      return res.status(400).json({ error: 'No pending login session' });
+    }
+
+    const accountKey = loginAccountKey('admin', email);
+    const lock = await findLoginLock(req, accountKey);
+    if (lock) {
+      res.set('Retry-After', String(retryAfterSeconds(lock)));
+      return res.status(429).json({ error: loginLockMessage(lock) });
+    }
+
+    const otpResult = await checkOtpAttempt('admin_otps', { email: email }, otp);
+    const admin = await db.collection('admin_users').findOne({ email: email });
+
+    if (otpResult === 'valid' && admin) {
+      // OTP is valid
+      await db.collection('admin_otps').deleteMany({ email: email }); // Clean up OTPs
+      await clearLoginFailures(accountKey);
+      await db.collection('admin_users').updateOne({ _id: admin._id }, { $set: { last_login_at: new Date() } });
+      req.session.isAdmin = true;
+      req.session.adminId = admin._id.toString();
+      req.session.adminEmail = email;
+      req.session.adminName = admin.name || 'Admin';
+      req.session.adminRole = admin.role;
+      delete req.session.pendingAdminEmail;
+      recordSessionDevice(req);
+      res.json({ success: true });
+    } else if (otpResult === 'exhausted') {
+      await recordLoginFailure(req, accountKey, admin);
+      delete req.session.pendingAdminEmail;
+      res.status(401).json({ error: 'Too many wrong codes. Please log in again to get a new OTP.' });
+    } else {
+      await recordLoginFailure(req, accountKey, admin);
+      res.status(401).json({ error: 'Invalid or expired OTP' });
+    }
+  } catch (error) {
+    console.error('❌ OTP verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin dashboard
+app.get('/admin/dashboard', requireAdmin, (req, res) => {
+  res.render('admin-dashboard', {
+    adminName: req.session.adminName,
+    roleLabel: ADMIN_ROLES[req.session.adminRole] ? ADMIN_ROLES[req.session.adminRole].label : '',
+    can: (area) => adminCan(req.session.adminRole, area)
+  });
+});
+
+// Admin logout
+app.post('/admin/logout', (req, res) => {
+  req.session.destroy();
+  res.json({ success: true });
+});
+
+// Email an admin user a fresh password, returns the response message
+async function sendAdminCredentials(adminUser, req) {
+  const password = generateRandomPassword();
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  await db.collection('admin_users').updateOne(
+    { _id: adminUser._id },
+    { $set: { password: hashedPassword, updated_at: new Date() } }
+  );
+
+  const emailSent = await sendTemplatedEmail(adminUser.email, 'admin_credentials', {
+    name: adminUser.name,
+    role: ADMIN_ROLES[adminUser.role].label,
+    email: adminUser.email,
+    password: password,
+    login_url: `${req.protocol}://${req.get('host')}/admin`
+  });
+  return emailSent
+    ? 'Credentials sent via email'
+    : `Failed to send email. Credentials: Email: ${adminUser.email}, Password: ${password}`;
+}
+
+// True if removing super-admin rights from this user would leave no active super-admin
+async function isLastSuperAdmin(adminUser) {
+  if (adminUser.role !== 'super-admin' || adminUser.active === false) {
+    return false;
+  }
+  const others = await db.collection('admin_users').countDocuments({
+    _id: { $ne: adminUser._id },
+    role: 'super-admin',
+    active: { $ne: false }
+  });
+  return others === 0;
+}
+
+// Admin users management page
+app.get('/admin/users', requireAdmin, requirePermission('admins'), checkDatabase, async (req, res) => {
+  try {
+    const adminUsers = await db.collection('admin_users')
+      .find({}, { projection: { password: 0 } })
+      .sort({ created_at: 1 })
+      .toArray();
+
+    res.render('admin-users', {
+      adminUsers,
+      roles: ADMIN_ROLES,
+      currentAdminId: req.session.adminId
+    });
+  } catch (error) {
+    console.error('❌ Error fetching admin users:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Create an admin user and email their credentials
+app.post('/admin/users', requireAdmin, requirePermission('admins'), checkDatabase, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const email = (req.body.email || '').trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({ error: 'Name and email are required' });
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    if (!ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    const existing = await db.collection('admin_users').findOne({ email: email });
+    if (existing) {
+      return res.status(400).json({ error: 'An admin user with this email already exists' });
+    }
+
+    const adminUser = {
+      name: name,
+      email: email,
+      password: await bcrypt.hash(generateRandomPassword(), 10),
+      role: role,
+      active: true,
+      created_by: adminActor(req).name,
+      created_by_id: adminActor(req).id,
+      created_at: new Date()
+    };
+    const result = await db.collection('admin_users').insertOne(adminUser);
+    adminUser._id = result.insertedId;
+    await recordAudit(req, {
+      action: 'admin_user.create',
+      targetType: 'admin_user',
+      targetId: adminUser._id,
+      label: email,
+      after: adminUser
+    });
+
+    const message = await sendAdminCredentials(adminUser, req);
+    console.log(`✅ Admin user created: ${email} (${role})`);
+    res.json({ success: true, message: `Admin user created. ${message}` });
+  } catch (error) {
+    console.error('❌ Error creating admin user:', error);
+    res.status(500).json({ error: 'Failed to create admin user' });
+  }
+});
+
+// Update an admin user's name, role or active flag
+app.put('/admin/users/:id', requireAdmin, requirePermission('admins'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid admin user ID' });
+    }
+
+    const adminUser = await db.collection('admin_users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!adminUser) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+
+    const { name, role, active } = req.body;
+    const update = { updated_at: new Date() };
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ error: 'Name is required' });
+      }
+      update.name = name.trim();
+    }
+    if (role !== undefined) {
+      if (!ADMIN_ROLES[role]) {
+        return res.status(400).json({ error: 'Invalid role' });
+      }
+      update.role = role;
+    }
+    if (active !== undefined) {
+      update.active = active === true || active === 'true';
+    }
+
+    const losesSuperAdmin = (update.role && update.role !== 'super-admin') || update.active === false;
+    if (losesSuperAdmin && adminUser._id.toString() === req.session.adminId) {
+      return res.status(400).json({ error: 'You cannot remove your own super-admin access' });
+    }
+    if (losesSuperAdmin && await isLastSuperAdmin(adminUser)) {
+      return res.status(400).json({ error: 'At least one active super-admin is required' });
+    }
+
+    await db.collection('admin_users').updateOne({ _id: adminUser._id }, { $set: update });
+    // Role and status are read into the session at login, so sign the admin out for changes to take effect
+    if ((update.role && update.role !== adminUser.role) || update.active === false) {
+      await revokeUserSessions('admin', adminUser._id.toString());
+    }
+    await recordAudit(req, {
+      action: 'admin_user.update',
+      targetType: 'admin_user',
+      targetId: adminUser._id,
+      label: adminUser.email,
+      before: adminUser,
+      after: { ...adminUser, ...update }
+    });
+    res.json({ success: true, message: 'Admin user updated' });
+  } catch (error) {
+    console.error('❌ Error updating admin user:', error);
+    res.status(500).json({ error: 'Failed to update admin user' });
+  }
+});
+
+// Send an admin user a new password
+app.post('/admin/users/:id/send-credentials', requireAdmin, requirePermission('admins'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid admin user ID' });
+    }
+
+    const adminUser = await db.collection('admin_users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!adminUser) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+
+    const message = await sendAdminCredentials(adminUser, req);
+    await recordAudit(req, {
+      action: 'admin_user.reset_password',
+      targetType: 'admin_user',
+      targetId: adminUser._id,
+      label: adminUser.email
+    });
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error('❌ Error sending admin credentials:', error);
+    res.status(500).json({ error: 'Failed to send credentials' });
+  }
+});
+
+// Delete an admin user
+app.delete('/admin/users/:id', requireAdmin, requirePermission('admins'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid admin user ID' });
+    }
+
+    const adminUser = await db.collection('admin_users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!adminUser) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+    if (adminUser._id.toString() === req.session.adminId) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (await isLastSuperAdmin(adminUser)) {
+      return res.status(400).json({ error: 'At least one active super-admin is required' });
+    }
+
+    await db.collection('admin_users').deleteOne({ _id: adminUser._id });
+    await revokeUserSessions('admin', adminUser._id.toString());
+    await recordAudit(req, {
+      action: 'admin_user.delete',
+      targetType: 'admin_user',
+      targetId: adminUser._id,
+      label: adminUser.email,
+      before: adminUser
+    });
+    console.log('✅ Admin user deleted:', adminUser.email);
+    res.json({ success: true, message: 'Admin user deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting admin user:', error);
+    res.status(500).json({ error: 'Failed to delete admin user' });
+  }
+});
+
+// Login lockouts page
+app.get('/admin/security/lockouts', requireAdmin, requirePermission('admins'), checkDatabase, async (req, res) => {
+  try {
+    const records = await db.collection('login_throttle')
+      .find({ $or: [{ locked_until: { $gt: new Date() } }, { failures: { $gt: 0 } }] })
+      .sort({ last_failure_at: -1 })
+      .limit(200)
+      .toArray();
+
+    res.render('admin-lockouts', {
+      records,
+      limits: {
+        accountFailures: LOGIN_ACCOUNT_MAX_FAILURES,
+        ipSlowAfter: LOGIN_IP_SLOW_AFTER_FAILURES,
+        ipMaxDelay: LOGIN_IP_MAX_DELAY_SECONDS,
+        windowMinutes: LOGIN_WINDOW_MINUTES
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error loading lockouts:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Clear a lockout and its failure count
+app.delete('/admin/security/lockouts/:id', requireAdmin, requirePermission('admins'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid lockout ID' });
+    }
+
+    const record = await db.collection('login_throttle').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!record) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'lockout.clear',
+      targetType: 'login_throttle',
+      targetId: record.key,
+      label: record.label,
+      studentIds: record.kind === 'student' ? [record.label] : [],
+      before: record
+    });
+
+    res.json({ success: true, message: 'Lockout cleared' });
+  } catch (error) {
+    console.error('❌ Error clearing lockout:', error);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
+// Enquiries inbox
+app.get('/admin/enquiries', requireAdmin, requirePermission('enquiries'), checkDatabase, async (req, res) => {
+  try {
+    const status = ENQUIRY_STATUSES.includes(req.query.status) ? req.query.status : '';
+    const filter = status ? { status: status } : { status: { $ne: 'closed' } };
+    if (req.query.assigned === 'me') {
+      filter['assigned_to.id'] = req.session.adminId;
+    }
+
+    const [enquiries, statusCounts] = await Promise.all([
+      db.collection('enquiries')
+        .find(filter, { projection: { replies: 0 } })
+        .sort({ created_at: -1 })
+        .limit(200)
+        .toArray(),
+      db.collection('enquiries').aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]).toArray()
+    ]);
+
+    res.render('admin-enquiries', {
+      enquiries,
+      status,
+      assignedToMe: req.query.assigned === 'me',
+      statuses: ENQUIRY_STATUSES,
+      types: ENQUIRY_TYPES,
+      counts: Object.fromEntries(statusCounts.map(entry => [entry._id, entry.count]))
+    });
+  } catch (error) {
+    console.error('❌ Error loading enquiries:', error);
+    res.status(500).send('Error loading enquiries');
+  }
+});
+
+// Single enquiry; opening a new one marks it as read
+app.get('/admin/enquiries/:id', requireAdmin, requirePermission('enquiries'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).send('Enquiry not found');
+    }
+
+    const enquiryId = new ObjectId(req.params.id);
+    await db.collection('enquiries').updateOne({ _id: enquiryId, status: 'new' }, { $set: { status: 'open' } });
+    const enquiry = await db.collection('enquiries').findOne({ _id: enquiryId });
+    if (!enquiry) {
+      return res.status(404).send('Enquiry not found');
+    }
+
+    const admins = await db.collection('admin_users')
+      .find({ active: { $ne: false } }, { projection: { name: 1, email: 1, role: 1 } })
+      .sort({ name: 1 })
+      .toArray();
+
+    res.render('admin-enquiry', {
+      enquiry,
+      types: ENQUIRY_TYPES,
+      admins: admins.filter(admin => adminCan(admin.role, 'enquiries'))
+    });
+  } catch (error) {
+    console.error('❌ Error loading enquiry:', error);
+    res.status(500).send('Error loading enquiry');
+  }
+});
+
+// Assign an enquiry to an admin, or unassign it with an empty admin_id
+app.post('/admin/enquiries/:id/assign', requireAdmin, requirePermission('enquiries'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid enquiry ID' });
+    }
+
+    let assignee = null;
+    if (req.body.admin_id) {
+      if (!ObjectId.isValid(req.body.admin_id)) {
+        return res.status(400).json({ error: 'That admin cannot handle enquiries' });
+      }
+      const admin = await db.collection('admin_users').findOne({ _id: new ObjectId(req.body.admin_id), active: { $ne: false } });
+      if (!admin || !adminCan(admin.role, 'enquiries')) {
+        return res.status(400).json({ error: 'That admin cannot handle enquiries' });
+      }
+      assignee = { id: admin._id.toString(), name: admin.name || admin.email };
+    }
+
+    const enquiry = await db.collection('enquiries').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { assigned_to: assignee, updated_at: new Date() } },
+      { returnDocument: 'before' }
+    );
+    if (!enquiry) {
+      return res.status(404).json({ error: 'Enquiry not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'enquiry.assign',
+      targetType: 'enquiry',
+      targetId: enquiry._id,
+      label: `${enquiry.name} → ${assignee ? assignee.name : 'unassigned'}`,
+      before: { assigned_to: enquiry.assigned_to },
+      after: { assigned_to: assignee }
+    });
+    res.json({ success: true, message: assignee ? `Assigned to ${assignee.name}` : 'Enquiry unassigned' });
+  } catch (error) {
+    console.error('❌ Error assigning enquiry:', error);
+    res.status(500).json({ error: 'Failed to assign enquiry' });
+  }
+});
+
+// Email a reply to the person who sent the enquiry
+app.post('/admin/enquiries/:id/reply', requireAdmin, requirePermission('enquiries'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid enquiry ID' });
+    }
+
+    const message = String(req.body.message || '').trim();
+    if (!message) {
+      return res.status(400).json({ error: 'Reply message is required' });
+    }
+
+    const enquiry = await db.collection('enquiries').findOne({ _id: new ObjectId(req.params.id) });
+    if (!enquiry) {
+      return res.status(404).json({ error: 'Enquiry not found' });
+    }
+
+    const actor = adminActor(req);
+    const sent = await sendTemplatedEmail(enquiry.email, 'enquiry_reply', {
+      name: enquiry.name,
+      reply: message,
+      staff_name: actor.name,
+      original_message: enquiry.message
+    });
+    const close = req.body.close === true || req.body.close === 'true';
+    const update = {
+      $push: { replies: { by: { id: actor.id, name: actor.name }, message: message, sent: sent, created_at: new Date() } },
+      $set: { updated_at: new Date() }
+    };
+    if (close) {
+      update.$set.status = 'closed';
+      update.$set.closed_at = new Date();
+    } else if (enquiry.status === 'new') {
+      update.$set.status = 'open';
+    }
+    await db.collection('enquiries').updateOne({ _id: enquiry._id }, update);
+
+    await recordAudit(req, {
+      action: 'enquiry.reply',
+      targetType: 'enquiry',
+      targetId: enquiry._id,
+      label: `${enquiry.name} <${enquiry.email}>`
+    });
+    res.json({
+      success: true,
+      message: sent ? 'Reply sent' : 'Reply saved, but the email could not be sent yet. It will be retried automatically.'
+    });
+  } catch (error) {
+    console.error('❌ Error replying to enquiry:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+});
+
+// Close or reopen an enquiry
+app.post('/admin/enquiries/:id/status', requireAdmin, requirePermission('enquiries'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid enquiry ID' });
+    }
+
+    const { status } = req.body;
+    if (!['open', 'closed'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be open or closed' });
+    }
+
+    const enquiry = await db.collection('enquiries').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { status: status, closed_at: status === 'closed' ? new Date() : null, updated_at: new Date() } },
+      { returnDocument: 'before' }
+    );
+    if (!enquiry) {
+      return res.status(404).json({ error: 'Enquiry not found' });
+    }
+
+    await recordAudit(req, {
+      action: status === 'closed' ? 'enquiry.close' : 'enquiry.reopen',
+      targetType: 'enquiry',
+      targetId: enquiry._id,
+      label: `${enquiry.name} <${enquiry.email}>`
+    });
+    res.json({ success: true, message: status === 'closed' ? 'Enquiry closed' : 'Enquiry reopened' });
+  } catch (error) {
+    console.error('❌ Error updating enquiry:', error);
+    res.status(500).json({ error: 'Failed to update enquiry' });
+  }
+});
+
+// Announcements page
+app.get('/admin/announcements', requireAdmin, requirePermission('announcements'), checkDatabase, async (req, res) => {
+  try {
+    const [announcements, readCounts, placement] = await Promise.all([
+      db.collection('announcements').find({}).sort({ pinned: -1, created_at: -1 }).limit(100).toArray(),
+      db.collection('announcement_reads').aggregate([{ $group: { _id: '$announcement_id', count: { $sum: 1 } } }]).toArray(),
+      loadPlacementOptions()
+    ]);
+    const reads = Object.fromEntries(readCounts.map(entry => [entry._id.toString(), entry.count]));
+    const audienceSizes = await Promise.all(
+      announcements.map(item => db.collection('students').countDocuments(announcementAudienceFilter(item.audience)))
+    );
+
+    res.render('admin-announcements', {
+      announcements: announcements.map((item, index) => ({
+        ...item,
+        read_count: reads[item._id.toString()] || 0,
+        audience_size: audienceSizes[index]
+      })),
+      departments: placement.departments,
+      batchYears: placement.batches
+    });
+  } catch (error) {
+    console.error('❌ Error loading announcements:', error);
+    res.status(500).send('Error loading announcements');
+  }
+});
+
+// Post an announcement, optionally emailing it to the audience
+app.post('/admin/announcements', requireAdmin, requirePermission('announcements'), checkDatabase, async (req, res) => {
+  try {
+    const { error, announcement } = parseAnnouncementInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const actor = adminActor(req);
+    const doc = {
+      ...announcement,
+      created_by: { id: actor.id, name: actor.name },
+      emailed_at: null,
+      emailed_count: 0,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+    const { insertedId } = await db.collection('announcements').insertOne(doc);
+    doc._id = insertedId;
+
+    await recordAudit(req, {
+      action: 'announcement.create',
+      targetType: 'announcement',
+      targetId: insertedId,
+      label: doc.title,
+      after: doc
+    });
+
+    let message = 'Announcement posted';
+    if (req.body.send_email === true || req.body.send_email === 'true') {
+      const emailed = await emailAnnouncement(doc);
+      message += ` and emailed to ${emailed} student(s)`;
+    }
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error('❌ Error posting announcement:', error);
+    res.status(500).json({ error: 'Failed to post announcement' });
+  }
+});
+
+// Edit an announcement
+app.put('/admin/announcements/:id', requireAdmin, requirePermission('announcements'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid announcement ID' });
+    }
+
+    const { error, announcement } = parseAnnouncementInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const before = await db.collection('announcements').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { ...announcement, updated_at: new Date() } },
+      { returnDocument: 'before' }
+    );
+    if (!before) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'announcement.update',
+      targetType: 'announcement',
+      targetId: before._id,
+      label: announcement.title,
+      before: before,
+      after: { ...before, ...announcement }
+    });
+    res.json({ success: true, message: 'Announcement updated' });
+  } catch (error) {
+    console.error('❌ Error updating announcement:', error);
+    res.status(500).json({ error: 'Failed to update announcement' });
+  }
+});
+
+// Email an existing announcement to its audience
+app.post('/admin/announcements/:id/email', requireAdmin, requirePermission('announcements'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid announcement ID' });
+    }
+
+    const announcement = await db.collection('announcements').findOne({ _id: new ObjectId(req.params.id) });
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const emailed = await emailAnnouncement(announcement);
+    await recordAudit(req, {
+      action: 'announcement.email',
+      targetType: 'announcement',
+      targetId: announcement._id,
+      label: `${announcement.title} (${emailed} students)`
+    });
+    res.json({ success: true, message: `Announcement emailed to ${emailed} student(s)` });
+  } catch (error) {
+    console.error('❌ Error emailing announcement:', error);
+    res.status(500).json({ error: 'Failed to email announcement' });
+  }
+});
+
+// Delete an announcement and its read receipts
+app.delete('/admin/announcements/:id', requireAdmin, requirePermission('announcements'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid announcement ID' });
+    }
+
+    const announcement = await db.collection('announcements').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    await db.collection('announcement_reads').deleteMany({ announcement_id: announcement._id });
+    await recordAudit(req, {
+      action: 'announcement.delete',
+      targetType: 'announcement',
+      targetId: announcement._id,
+      label: announcement.title,
+      before: announcement
+    });
+    res.json({ success: true, message: 'Announcement deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting announcement:', error);
+    res.status(500).json({ error: 'Failed to delete announcement' });
+  }
+});
+
+// Email templates and delivery log page
+app.get('/admin/email', requireAdmin, requirePermission('email'), checkDatabase, async (req, res) => {
+  try {
+    const status = EMAIL_QUEUE_STATUSES.includes(req.query.status) ? req.query.status : '';
+    const [templates, messages, statusCounts] = await Promise.all([
+      Promise.all(Object.keys(EMAIL_TEMPLATE_DEFAULTS).map(key => getEmailTemplate(key))),
+      db.collection('email_queue')
+        .find(status ? { status: status } : {}, { projection: { html: 0 } })
+        .sort({ created_at: -1 })
+        .limit(100)
+        .toArray(),
+      db.collection('email_queue').aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]).toArray()
+    ]);
+
+    res.render('admin-email', {
+      templates,
+      messages,
+      status,
+      statuses: EMAIL_QUEUE_STATUSES,
+      counts: Object.fromEntries(statusCounts.map(entry => [entry._id, entry.count]))
+    });
+  } catch (error) {
+    console.error('❌ Error loading email page:', error);
+    res.status(500).send('Error loading email page');
+  }
+});
+
+// Render a template with sample values, without saving it
+app.post('/admin/email/templates/:key/preview', requireAdmin, requirePermission('email'), (req, res) => {
+  const defaults = EMAIL_TEMPLATE_DEFAULTS[req.params.key];
+  if (!defaults) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  const subject = String(req.body.subject || '');
+  const html = String(req.body.html || '');
+  res.json({
+    success: true,
+    ...renderEmailTemplate({ subject, html }, defaults.sample),
+    unknown: unknownEmailPlaceholders(req.params.key, subject, html)
+  });
+});
+
+// Save an edited template
+app.put('/admin/email/templates/:key', requireAdmin, requirePermission('email'), checkDatabase, async (req, res) => {
+  try {
+    const key = req.params.key;
+    if (!EMAIL_TEMPLATE_DEFAULTS[key]) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const subject = String(req.body.subject || '').trim();
+    const html = String(req.body.html || '').trim();
+    if (!subject || !html) {
+      return res.status(400).json({ error: 'Subject and body are required' });
+    }
+
+    const unknown = unknownEmailPlaceholders(key, subject, html);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')}` });
+    }
+
+    const before = await getEmailTemplate(key);
+    await db.collection('email_templates').updateOne(
+      { key: key },
+      { $set: { subject: subject, html: html, updated_at: new Date(), updated_by: adminActor(req).name } },
+      { upsert: true }
+    );
+    await recordAudit(req, {
+      action: 'email_template.update',
+      targetType: 'email_template',
+      targetId: key,
+      label: before.name,
+      before: { subject: before.subject, html: before.html },
+      after: { subject, html }
+    });
+    res.json({ success: true, message: 'Template saved' });
+  } catch (error) {
+    console.error('❌ Error saving email template:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
+});
+
+// Discard edits and go back to the built-in template
+app.delete('/admin/email/templates/:key', requireAdmin, requirePermission('email'), checkDatabase, async (req, res) => {
+  try {
+    const key = req.params.key;
+    if (!EMAIL_TEMPLATE_DEFAULTS[key]) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const removed = await db.collection('email_templates').findOneAndDelete({ key: key });
+    if (removed) {
+      await recordAudit(req, {
+        action: 'email_template.reset',
+        targetType: 'email_template',
+        targetId: key,
+        label: EMAIL_TEMPLATE_DEFAULTS[key].name,
+        before: { subject: removed.subject, html: removed.html }
+      });
+    }
+    res.json({ success: true, message: 'Template reset to default' });
+  } catch (error) {
+    console.error('❌ Error resetting email template:', error);
+    res.status(500).json({ error: 'Failed to reset template' });
+  }
+});
+
+// Audit log page
+app.get('/admin/audit', requireAdmin, requirePermission('audit'), checkDatabase, async (req, res) => {
+  try {
+    const [actions, actors] = await Promise.all([
+      db.collection('audit_log').distinct('action'),
+      db.collection('audit_log').distinct('actor.email')
+    ]);
+
+    res.render('admin-audit', {
+      actions: actions.sort(),
+      actors: actors.filter(Boolean).sort()
+    });
+  } catch (error) {
+    console.error('❌ Error loading audit log page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Search the audit log
+app.get('/api/admin/audit', requireAdmin, requirePermission('audit'), checkDatabase, async (req, res) => {
+  try {
+    const { action, actor, student_id, q, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = 50;
+    const query = {};
+
+    if (action) query.action = action;
+    if (actor) query['actor.email'] = actor;
+    if (student_id) query.student_ids = student_id.trim();
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      query.$or = [{ target_label: pattern }, { target_id: pattern }, { 'actor.name': pattern }];
+    }
+    if (from || to) {
+      query.created_at = {};
+      if (from) query.created_at.$gte = new Date(from);
+      if (to) query.created_at.$lt = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    const [entries, total] = await Promise.all([
+      db.collection('audit_log')
+        .find(query)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .toArray(),
+      db.collection('audit_log').countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      page,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1),
+      total
+    });
+  } catch (error) {
+    console.error('❌ Error searching audit log:', error);
+    res.status(500).json({ error: 'Failed to search audit log' });
+  }
+});
+
+// Student management routes
+app.get('/admin/students', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    const { filters, mongoFilter, mongoSort } = parseStudentListQuery(req.query);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const distinctValues = (field) => db.collection('students').distinct(field, ACTIVE_STUDENT_FILTER)
+      .then(values => values.filter(Boolean).sort());
+
+    const [students, total, departments, batchYears, courses, years, placement] = await Promise.all([
+      db.collection('students')
+        .find(mongoFilter, { projection: { password: 0 } })
+        .sort(mongoSort)
+        .skip((page - 1) * STUDENT_LIST_PAGE_SIZE)
+        .limit(STUDENT_LIST_PAGE_SIZE)
+        .toArray(),
+      db.collection('students').countDocuments(mongoFilter),
+      distinctValues('department'),
+      distinctValues('batch_year'),
+      distinctValues('course'),
+      distinctValues('year'),
+      loadPlacementOptions()
+    ]);
+
+    res.render('admin-students', {
+      students,
+      filters,
+      page,
+      pageSize: STUDENT_LIST_PAGE_SIZE,
+      total,
+      totalPages: Math.max(Math.ceil(total / STUDENT_LIST_PAGE_SIZE), 1),
+      options: { departments, batchYears, courses, years },
+      placement
+    });
+  } catch (error) {
+    console.error('❌ Error fetching students:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Export the filtered student list as CSV
+app.get('/admin/students/export.csv', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    const { mongoFilter, mongoSort } = parseStudentListQuery(req.query);
+    const students = await db.collection('students')
+      .find(mongoFilter, { projection: { password: 0 } })
+      .sort(mongoSort)
+      .toArray();
+
+    const csv = toCsv(STUDENT_EXPORT_COLUMNS, students.map(student => ({
+      ...student,
+      created_at: student.created_at ? new Date(student.created_at).toISOString().split('T')[0] : ''
+    })));
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="students.csv"');
+    res.send(csv);
+  } catch (error) {
+    console.error('❌ Error exporting students:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Add student
+app.post('/admin/students', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  const { roll_num, name } = req.body;
+  const email = String(req.body.email || '').trim().toLowerCase();
+  
+  try {
+    // Validate input
+    const validationError = validateStudentInput({ ...req.body, email });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const placement = await resolveStudentPlacement(req.body);
+    if (placement.error) {
+      return res.status(400).json({ error: placement.error });
+    }
+    const { department, batch_year, year } = placement;
+
+    // Check if student already exists
+    const existingStudent = await findStudentByRollOrEmail(roll_num, email);
+
+    if (existingStudent) {
+      return res.status(400).json({ error: 'Student with this roll number or email already exists' });
+    }
+
+    const { password, emailSent } = await createStudentAccount({ roll_num, name, department, email, batch_year, year }, req);
+    await recordAudit(req, {
+      action: 'student.create',
+      targetType: 'student',
+      targetId: roll_num,
+      label: name,
+      studentIds: [roll_num],
+      after: { roll_num, name, department, email, batch_year }
+    });
+    
+    if (emailSent || !transporter) {
+      const message = emailSent 
+        ? 'Student added successfully and credentials sent via email' 
+        : `Student added successfully. Credentials: ID: ${roll_num}, Password: ${password}`;
+      res.json({ success: true, message });
+    } else {
+      res.json({ 
+        success: true, 
+        message: `Student added successfully but failed to send email. Credentials: ID: ${roll_num}, Password: ${password}` 
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error adding student:', error);
+    res.status(500).json({ error: 'Failed to add student' });
+  }
+});
+
+// Download a CSV template for bulk import
+app.get('/admin/students/import/template', requireAdmin, requirePermission('students'), (req, res) => {
+  const csv = toCsv(STUDENT_IMPORT_COLUMNS, [
+    { roll_num: '24CS001', name: 'Jane Doe', email: 'jane.doe@gmail.com', department: 'Computer Science', batch_year: '2024-2028' }
+  ]);
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="student-import-template.csv"');
+  res.send(csv);
+});
+
+// Bulk import - Step 1: Parse and check every row without creating anything
+app.post('/admin/students/import/preview', requireAdmin, requirePermission('students'), checkDatabase, handleCsvUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
+
+    const records = parseCsv(req.file.buffer.toString('utf8'));
+    if (records.length < 2) {
+      return res.status(400).json({ error: 'The CSV file has no data rows' });
+    }
+
+    // Map header names such as "Roll Number" or "batch year" onto the expected columns
+    const headers = records[0].map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const headerAliases = { roll_number: 'roll_num', student_id: 'roll_num', batch: 'batch_year' };
+    const columns = headers.map(h => headerAliases[h] || h);
+
+    const missingColumns = STUDENT_IMPORT_COLUMNS.filter(c => !columns.includes(c));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ error: `Missing columns: ${missingColumns.join(', ')}` });
+    }
+
+    const rows = records.slice(1)
+      .filter(record => record.some(value => value.trim()))
+      .map((record, index) => {
+        const data = {};
+        STUDENT_IMPORT_COLUMNS.forEach(column => {
+          data[column] = (record[columns.indexOf(column)] || '').trim();
+        });
+        data.email = data.email.toLowerCase();
+        return { row: index + 2, data, errors: [] };
+      });
+
+    if (rows.length > 500) {
+      return res.status(400).json({ error: 'A single import is limited to 500 rows' });
+    }
+
+    // Duplicates within the file; roll numbers differing only in case count as the same
+    const seenRolls = {};
+    const seenEmails = {};
+    rows.forEach(row => {
+      const validationError = validateStudentInput(row.data);
+      if (validationError) {
+        row.errors.push(validationError);
+      }
+
+      const roll = row.data.roll_num.toUpperCase();
+      const email = row.data.email;
+      if (roll && seenRolls[roll]) {
+        row.errors.push(`Duplicate roll number (also on row ${seenRolls[roll]})`);
+      } else if (roll) {
+        seenRolls[roll] = row.row;
+      }
+      if (email && seenEmails[email]) {
+        row.errors.push(`Duplicate email (also on row ${seenEmails[email]})`);
+      } else if (email) {
+        seenEmails[email] = row.row;
+      }
+    });
+
+    // Departments and batches must match the managed lists; store their canonical spelling
+    for (const row of rows.filter(row => row.errors.length === 0)) {
+      const placement = await resolveStudentPlacement(row.data);
+      if (placement.error) {
+        row.errors.push(placement.error);
+      } else {
+        Object.assign(row.data, placement);
+      }
+    }
+
+    // Duplicates against existing students, ignoring case on both sides
+    const existing = await db.collection('students').find(
+      {
+        $or: [
+          { student_id: { $in: rows.map(r => r.data.roll_num) } },
+          { email: { $in: rows.map(r => r.data.email) } }
+        ]
+      },
+      { projection: { student_id: 1, email: 1 }, collation: { locale: 'en', strength: 2 } }
+    ).toArray();
+
+    const existingRolls = new Set(existing.map(s => s.student_id.toUpperCase()));
+    const existingEmails = new Set(existing.map(s => s.email.toLowerCase()));
+    rows.forEach(row => {
+      if (existingRolls.has(row.data.roll_num.toUpperCase())) {
+        row.errors.push('Roll number already exists');
+      }
+      if (existingEmails.has(row.data.email)) {
+        row.errors.push('Email already exists');
+      }
+    });
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    req.session.pendingImport = {
+      rows: validRows.map(row => ({ row: row.row, data: row.data })),
+      skipped: rows.filter(row => row.errors.length > 0),
+      created_at: new Date()
+    };
+
+    res.json({
+      success: true,
+      rows,
+      summary: { total: rows.length, valid: validRows.length, invalid: rows.length - validRows.length }
+    });
+  } catch (error) {
+    console.error('❌ Error previewing student import:', error);
+    res.status(500).json({ error: 'Failed to read CSV file' });
+  }
+});
+
+// Bulk import - Step 2: Create the checked rows and queue their credential emails
+app.post('/admin/students/import/confirm', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  const pendingImport = req.session.pendingImport;
+
+  try {
+    if (!pendingImport || pendingImport.rows.length === 0) {
+      return res.status(400).json({ error: 'No checked import to confirm. Upload the CSV again.' });
+    }
+
+    const report = pendingImport.skipped.map(row => ({
+      row: row.row,
+      ...row.data,
+      status: 'skipped',
+      message: row.errors.join('; '),
+      password: ''
+    }));
+
+    const credentialEmails = [];
+    for (const row of pendingImport.rows) {
+      try {
+        const { password, message } = await createStudentAccount(row.data, req, { deferEmail: true });
+        if (transporter) {
+          credentialEmails.push(message);
+        }
+        report.push({
+          row: row.row,
+          ...row.data,
+          status: 'created',
+          message: transporter ? 'Credentials queued for email' : 'Email not configured - share the password manually',
+          // Passwords are only kept in the report when the student cannot be emailed
+          password: transporter ? '' : password
+        });
+      } catch (error) {
+        report.push({
+          row: row.row,
+          ...row.data,
+          status: 'failed',
+          message: error.code === 11000 ? 'Roll number or email already exists' : 'Failed to create account',
+          password: ''
+        });
+      }
+    }
+
+    await queueEmails(credentialEmails);
+
+    report.sort((a, b) => a.row - b.row);
+    delete req.session.pendingImport;
+    req.session.lastImportReport = report;
+
+    const created = report.filter(r => r.status === 'created').length;
+    const createdRows = report
+      .filter(r => r.status === 'created')
+      .map(({ row, status, message, password, ...data }) => data);
+    await recordAudit(req, {
+      action: 'student.import',
+      targetType: 'student',
+      label: `${created} students imported`,
+      studentIds: createdRows.map(r => r.roll_num),
+      after: createdRows
+    });
+    console.log(`✅ Bulk import created ${created} students`);
+    res.json({
+      success: true,
+      message: `${created} students created, ${report.length - created} not created`,
+      report: report.map(({ password, ...rest }) => rest)
+    });
+  } catch (error) {
+    console.error('❌ Error importing students:', error);
+    res.status(500).json({ error: 'Failed to import students' });
+  }
+});
+
+// Download the per-row report of the last import
+app.get('/admin/students/import/report', requireAdmin, requirePermission('students'), (req, res) => {
+  const report = req.session.lastImportReport;
+
+  if (!report) {
+    return res.status(404).send('No import report available');
+  }
+
+  const csv = toCsv(['row', ...STUDENT_IMPORT_COLUMNS, 'status', 'message', 'password'], report);
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="student-import-report.csv"');
+  res.send(csv);
+});
+
+// Delete single student
+app.delete('/admin/students/:id', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  const studentId = req.params.id;
+  
+  try {
+    if (!ObjectId.isValid(studentId)) {
+      return res.status(400).json({ error: 'Invalid student ID' });
+    }
+
+    const [student] = await archiveStudents({ _id: new ObjectId(studentId) }, 'removed', req);
+    
+    if (student) {
+      await recordAudit(req, {
+        action: 'student.archive',
+        targetType: 'student',
+        targetId: student.student_id,
+        label: student.name,
+        studentIds: [student.student_id],
+        before: student
+      });
+      res.json({ success: true, message: 'Student archived successfully' });
+    } else {
+      res.status(404).json({ error: 'Student not found' });
+    }
+  } catch (error) {
+    console.error('❌ Error deleting student:', error);
+    res.status(500).json({ error: 'Failed to delete student' });
+  }
+});
+
+// Force-logout a student from every device
+app.delete('/admin/students/:id/sessions', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid student ID' });
+    }
+
+    const student = await db.collection('students').findOne({ _id: new ObjectId(req.params.id) });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const count = await revokeUserSessions('student', student.student_id);
+    await recordAudit(req, {
+      action: 'student.force_logout',
+      targetType: 'student',
+      targetId: student.student_id,
+      label: student.name,
+      studentIds: [student.student_id]
+    });
+    res.json({ success: true, message: `${student.name} was signed out of ${count} session(s)` });
+  } catch (error) {
+    console.error('❌ Error signing out student:', error);
+    res.status(500).json({ error: 'Failed to sign out student' });
+  }
+});
+
+// Bulk delete students
+app.post('/admin/students/bulk-delete', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  const { studentIds } = req.body;
+  
+  try {
+    if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({ error: 'No student IDs provided' });
+    }
+    if (!studentIds.every(id => ObjectId.isValid(id))) {
+      return res.status(400).json({ error: 'One or more student IDs are invalid. Nothing was archived.' });
+    }
+    
+    const objectIds = studentIds.map(id => new ObjectId(id));
+    const students = await archiveStudents({ _id: { $in: objectIds } }, 'removed', req);
+    await recordAudit(req, {
+      action: 'student.bulk_archive',
+      targetType: 'student',
+      label: `${students.length} students archived`,
+      studentIds: students.map(student => student.student_id),
+      before: students
+    });
+    
+    res.json({ 
+      success: true, 
+      message: `${students.length} students archived successfully` 
+    });
+  } catch (error) {
+    console.error('❌ Error bulk deleting students:', error);
+    res.status(500).json({ error: 'Failed to delete students' });
+  }
+});
+
+// Graduate a whole batch into the archive
+app.post('/admin/students/archive-batch', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!req.body.batch_year) {
+      return res.status(400).json({ error: 'Batch year is required' });
+    }
+
+    const batch = await resolveBatch(req.body.batch_year);
+    const batch_year = batch ? batch.code : req.body.batch_year;
+    const students = await archiveStudents({ batch_year: batch_year }, 'graduated', req);
+    if (students.length === 0) {
+      return res.status(404).json({ error: 'No active students in this batch' });
+    }
+
+    // A graduated batch no longer appears in the dropdowns
+    if (batch) {
+      await db.collection('batches').updateOne({ _id: batch._id }, { $set: { active: false, updated_at: new Date() } });
+    }
+
+    await recordAudit(req, {
+      action: 'student.graduate_batch',
+      targetType: 'batch',
+      targetId: batch_year,
+      label: `Batch ${batch_year} graduated (${students.length} students)`,
+      studentIds: students.map(student => student.student_id),
+      before: students
+    });
+
+    res.json({ success: true, message: `${students.length} students in batch ${batch_year} archived as graduated` });
+  } catch (error) {
+    console.error('❌ Error archiving batch:', error);
+    res.status(500).json({ error: 'Failed to archive batch' });
+  }
+});
+
+// Batches and departments offered on every student, attendance and timetable form
+app.get('/admin/batches', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    const [batches, departments, batchCounts, departmentCounts] = await Promise.all([
+      db.collection('batches').find({}).sort({ active: -1, code: 1 }).toArray(),
+      db.collection('departments').find({}).sort({ active: -1, name: 1 }).toArray(),
+      db.collection('students').aggregate([
+        { $match: ACTIVE_STUDENT_FILTER },
+        { $group: { _id: '$batch_year', count: { $sum: 1 } } }
+      ]).toArray(),
+      db.collection('students').aggregate([
+        { $match: ACTIVE_STUDENT_FILTER },
+        { $group: { _id: '$department', count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+    const studentsInBatch = Object.fromEntries(batchCounts.map(entry => [entry._id, entry.count]));
+    const studentsInDepartment = Object.fromEntries(departmentCounts.map(entry => [entry._id, entry.count]));
+
+    res.render('admin-batches', {
+      batches: batches.map(batch => ({
+        ...batch,
+        student_count: studentsInBatch[batch.code] || 0,
+        final_year: batch.start_year ? batch.end_year - batch.start_year : null
+      })),
+      departments: departments.map(department => ({
+        ...department,
+        student_count: studentsInDepartment[department.name] || 0
+      })),
+      studyYearLabel
+    });
+  } catch (error) {
+    console.error('❌ Error loading batches:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Add a batch such as 2024-2028
+app.post('/admin/batches', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    const normalized = normalizeBatchLabel(req.body.code);
+    if (!normalized) {
+      return res.status(400).json({ error: 'Enter the batch as start and end year, e.g. 2024-2028' });
+    }
+    if (await resolveBatch(normalized.code)) {
+      return res.status(400).json({ error: `Batch ${normalized.code} already exists` });
+    }
+
+    const batch = {
+      ...normalized,
+      current_year: batchStudyYear(normalized.start_year, normalized.end_year),
+      aliases: [],
+      active: true,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+    const { insertedId } = await db.collection('batches').insertOne(batch);
+    await recordAudit(req, {
+      action: 'batch.create',
+      targetType: 'batch',
+      targetId: insertedId,
+      label: batch.code,
+      after: { code: batch.code, current_year: batch.current_year }
+    });
+
+    res.json({ success: true, message: `Batch ${batch.code} added` });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'That batch already exists' });
+    }
+    console.error('❌ Error adding batch:', error);
+    res.status(500).json({ error: 'Failed to add batch' });
+  }
+});
+
+// Rename or retire a batch; a rename carries over to every record that names it
+app.put('/admin/batches/:id', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid batch ID' });
+    }
+    const normalized = normalizeBatchLabel(req.body.code);
+    if (!normalized) {
+      return res.status(400).json({ error: 'Enter the batch as start and end year, e.g. 2024-2028' });
+    }
+    const active = req.body.active !== false && req.body.active !== 'false';
+
+    const batch = await db.collection('batches').findOne({ _id: new ObjectId(req.params.id) });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    const clash = await resolveBatch(normalized.code);
+    if (clash && !clash._id.equals(batch._id)) {
+      return res.status(400).json({ error: `Batch ${normalized.code} already exists` });
+    }
+
+    const update = {
+      ...normalized,
+      current_year: Math.min(batch.current_year || batchStudyYear(normalized.start_year, normalized.end_year), normalized.end_year - normalized.start_year),
+      active,
+      updated_at: new Date()
+    };
+    await db.collection('batches').updateOne(
+      { _id: batch._id },
+      batch.code === normalized.code ? { $set: update } : { $set: update, $addToSet: { aliases: batch.code } }
+    );
+    if (batch.code !== normalized.code) {
+      await renameBatchEverywhere(batch.code, normalized.code);
+    }
+    if (update.current_year !== batch.current_year) {
+      await db.collection('students').updateMany(
+        { batch_year: normalized.code, ...ACTIVE_STUDENT_FILTER },
+        { $set: { year: studyYearLabel(update.current_year), updated_at: new Date() } }
+      );
+    }
+
+    await recordAudit(req, {
+      action: 'batch.update',
+      targetType: 'batch',
+      targetId: batch._id,
+      label: normalized.code,
+      before: { code: batch.code, current_year: batch.current_year, active: batch.active },
+      after: { code: normalized.code, current_year: update.current_year, active }
+    });
+    res.json({ success: true, message: 'Batch updated' });
+  } catch (error) {
+    console.error('❌ Error updating batch:', error);
+    res.status(500).json({ error: 'Failed to update batch' });
+  }
+});
+
+// Delete a batch nobody has been placed in
+app.delete('/admin/batches/:id', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid batch ID' });
+    }
+
+    const batch = await db.collection('batches').findOne({ _id: new ObjectId(req.params.id) });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    const [studentCount, slotCount, attendanceCount] = await Promise.all([
+      db.collection('students').countDocuments({ batch_year: batch.code }, { limit: 1 }),
+      db.collection('timetable_slots').countDocuments({ batch: batch.code }, { limit: 1 }),
+      db.collection('attendance').countDocuments({ batch: batch.code }, { limit: 1 })
+    ]);
+    if (studentCount > 0 || slotCount > 0 || attendanceCount > 0) {
+      return res.status(400).json({ error: 'This batch has students, classes or attendance. Mark it inactive instead.' });
+    }
+
+    await db.collection('batches').deleteOne({ _id: batch._id });
+    await recordAudit(req, {
+      action: 'batch.delete',
+      targetType: 'batch',
+      targetId: batch._id,
+      label: batch.code,
+      before: { code: batch.code, current_year: batch.current_year }
+    });
+    res.json({ success: true, message: 'Batch deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting batch:', error);
+    res.status(500).json({ error: 'Failed to delete batch' });
+  }
+});
+
+// Move a batch and all its students up to the next year of study
+app.post('/admin/batches/:id/promote', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid batch ID' });
+    }
+
+    const batch = await db.collection('batches').findOne({ _id: new ObjectId(req.params.id) });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (!batch.start_year) {
+      return res.status(400).json({ error: 'Set the batch start and end years before promoting it' });
+    }
+    if (batch.current_year >= batch.end_year - batch.start_year) {
+      return res.status(400).json({ error: `Batch ${batch.code} is in its final year. Graduate it from the student list instead.` });
+    }
+
+    const nextYear = batch.current_year + 1;
+    const students = await db.collection('students')
+      .find({ batch_year: batch.code, ...ACTIVE_STUDENT_FILTER }, { projection: { student_id: 1 } })
+      .toArray();
+    await db.collection('batches').updateOne({ _id: batch._id }, { $set: { current_year: nextYear, updated_at: new Date() } });
+    await db.collection('students').updateMany(
+      { batch_year: batch.code, ...ACTIVE_STUDENT_FILTER },
+      { $set: { year: studyYearLabel(nextYear), updated_at: new Date() } }
+    );
+
+    await recordAudit(req, {
+      action: 'batch.promote',
+      targetType: 'batch',
+      targetId: batch._id,
+      label: `Batch ${batch.code} promoted to ${studyYearLabel(nextYear)} (${students.length} students)`,
+      studentIds: students.map(student => student.student_id),
+      before: { current_year: batch.current_year },
+      after: { current_year: nextYear }
+    });
+    res.json({ success: true, message: `${students.length} students in batch ${batch.code} moved to ${studyYearLabel(nextYear)}` });
+  } catch (error) {
+    console.error('❌ Error promoting batch:', error);
+    res.status(500).json({ error: 'Failed to promote batch' });
+  }
+});
+
+// Read a department from a request body
+function parseDepartmentInput(body) {
+  return {
+    name: String(body.name || '').trim().replace(/\s+/g, ' '),
+    code: String(body.code || '').trim().toUpperCase()
+  };
+}
+
+// Add a department
+app.post('/admin/departments', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    const { name, code } = parseDepartmentInput(req.body);
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Department name is required (100 characters at most)' });
+    }
+
+    const keys = departmentKeys({ name, code });
+    if (await db.collection('departments').findOne({ keys: { $in: keys } })) {
+      return res.status(400).json({ error: 'A department with that name or code already exists' });
+    }
+
+    const department = { name, code, aliases: [], keys, active: true, created_at: new Date(), updated_at: new Date() };
+    const { insertedId } = await db.collection('departments').insertOne(department);
+    await recordAudit(req, {
+      action: 'department.create',
+      targetType: 'department',
+      targetId: insertedId,
+      label: name,
+      after: { name, code }
+    });
+
+    res.json({ success: true, message: 'Department added' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A department with that name already exists' });
+    }
+    console.error('❌ Error adding department:', error);
+    res.status(500).json({ error: 'Failed to add department' });
+  }
+});
+
+// Rename, recode or retire a department; a rename carries over to its students
+app.put('/admin/departments/:id', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid department ID' });
+    }
+    const { name, code } = parseDepartmentInput(req.body);
+    const active = req.body.active !== false && req.body.active !== 'false';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Department name is required (100 characters at most)' });
+    }
+
+    const department = await db.collection('departments').findOne({ _id: new ObjectId(req.params.id) });
+    if (!department) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    // The old name keeps resolving, so imports using it still land in the right place
+    const aliases = department.name === name
+      ? department.aliases
+      : [...new Set([...department.aliases, departmentKey(department.name)])];
+    const keys = departmentKeys({ name, code, aliases });
+    const clash = await db.collection('departments').findOne({ _id: { $ne: department._id }, keys: { $in: keys } });
+    if (clash) {
+      return res.status(400).json({ error: `That name or code is already used by ${clash.name}` });
+    }
+
+    await db.collection('departments').updateOne(
+      { _id: department._id },
+      { $set: { name, code, aliases, keys, active, updated_at: new Date() } }
+    );
+    if (department.name !== name) {
+      await renameDepartmentEverywhere(department.name, name);
+    }
+
+    await recordAudit(req, {
+      action: 'department.update',
+      targetType: 'department',
+      targetId: department._id,
+      label: name,
+      before: { name: department.name, code: department.code, active: department.active },
+      after: { name, code, active }
+    });
+    res.json({ success: true, message: 'Department updated' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A department with that name already exists' });
+    }
+    console.error('❌ Error updating department:', error);
+    res.status(500).json({ error: 'Failed to update department' });
+  }
+});
+
+// Delete a department nobody has been placed in
+app.delete('/admin/departments/:id', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid department ID' });
+    }
+
+    const department = await db.collection('departments').findOne({ _id: new ObjectId(req.params.id) });
+    if (!department) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+    if (await db.collection('students').countDocuments({ department: department.name }, { limit: 1 }) > 0) {
+      return res.status(400).json({ error: 'This department has students. Mark it inactive instead.' });
+    }
+
+    await db.collection('departments').deleteOne({ _id: department._id });
+    await recordAudit(req, {
+      action: 'department.delete',
+      targetType: 'department',
+      targetId: department._id,
+      label: department.name,
+      before: { name: department.name, code: department.code }
+    });
+    res.json({ success: true, message: 'Department deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting department:', error);
+    res.status(500).json({ error: 'Failed to delete department' });
+  }
+});
+
+// Archived students page
+app.get('/admin/students/archived', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    const students = await db.collection('students')
+      .find({ archived: true }, { projection: { password: 0 } })
+      .sort({ archived_at: -1 })
+      .toArray();
+
+    res.render('admin-students-archived', { students });
+  } catch (error) {
+    console.error('❌ Error fetching archived students:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Restore an archived student
+app.post('/admin/students/:id/restore', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid student ID' });
+    }
+
+    const student = await db.collection('students').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), archived: true },
+      {
+        $set: { archived: false, updated_at: new Date() },
+        $unset: { archive_reason: '', archived_at: '', archived_by: '', archived_by_id: '' }
+      },
+      { returnDocument: 'before' }
+    );
+
+    if (!student) {
+      return res.status(404).json({ error: 'Archived student not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'student.restore',
+      targetType: 'student',
+      targetId: student.student_id,
+      label: student.name,
+      studentIds: [student.student_id],
+      before: student
+    });
+
+    res.json({ success: true, message: 'Student restored successfully' });
+  } catch (error) {
+    console.error('❌ Error restoring student:', error);
+    res.status(500).json({ error: 'Failed to restore student' });
+  }
+});
+
+// Permanently delete an archived student and their related records
+app.delete('/admin/students/:id/purge', requireAdmin, requirePermission('students'), checkDatabase, async (req, res) => {
+  const { confirm_student_id } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid student ID' });
+    }
+
+    const student = await db.collection('students').findOne({ _id: new ObjectId(req.params.id), archived: true });
+    if (!student) {
+      return res.status(404).json({ error: 'Archived student not found. Only archived students can be purged.' });
+    }
+
+    if (confirm_student_id !== student.student_id) {
+      return res.status(400).json({ error: 'Type the student ID to confirm the purge' });
+    }
+
+    const removed = await purgeStudent(student);
+    await recordAudit(req, {
+      action: 'student.purge',
+      targetType: 'student',
+      targetId: student.student_id,
+      label: student.name,
+      studentIds: [student.student_id],
+      before: student,
+      after: { removed }
+    });
+
+    console.log('✅ Student purged:', student.student_id);
+    res.json({ success: true, message: 'Student and related records permanently deleted' });
+  } catch (error) {
+    console.error('❌ Error purging student:', error);
+    res.status(500).json({ error: 'Failed to purge student' });
+  }
+});
+
+// Student login page
+app.get('/student-login', (req, res) => {
+  res.render('student-login');
+});
+
+// Student login POST
+app.post('/student/login', checkDatabase, async (req, res) => {
+  const { student_id, password } = req.body;
+  
+  try {
+    console.log('🔍 Student login attempt:', student_id);
+
+    const accountKey = loginAccountKey('student', student_id);
+    const lock = await findLoginLock(req, accountKey);
+    if (lock) {
+      res.set('Retry-After', String(retryAfterSeconds(lock)));
+      return res.status(429).json({ error: loginLockMessage(lock) });
+    }
+    
+    const student = await db.collection('students').findOne({ student_id: student_id });
+    
+    if (!student) {
+      console.log('❌ Student not found:', student_id);
+      await recordLoginFailure(req, accountKey, null);
+      return res.status(401).json({ error: 'Invalid student ID or password' });
+    }
+    
+    console.log('✅ Student found:', student.name);
+    
+    const isValidPassword = await bcrypt.compare(password, student.password);
+    
+    if (!isValidPassword) {
+      console.log('❌ Invalid password for student:', student_id);
+      await recordLoginFailure(req, accountKey, student);
+      return res.status(401).json({ error: 'Invalid student ID or password' });
+    }
+
+    await clearLoginFailures(accountKey);
+
+    if (student.archived) {
+      console.log('❌ Archived student login attempt:', student_id);
+      return res.status(403).json({ error: 'This account has been archived. Please contact the admin.' });
+    }
+    
+    console.log('✅ Password valid for student:', student_id);
+    
+    req.session.studentId = student.student_id;
+    req.session.studentName = student.name;
+    req.session.studentEmail = student.email;
+    req.session.mustChangePassword = !!student.must_change_password;
+    recordSessionDevice(req);
+    
+    console.log('✅ Session created for student:', student_id);
+    res.json({ success: true, mustChangePassword: !!student.must_change_password });
+  } catch (error) {
+    console.error('❌ Student login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Forgot password - Step 1: Send reset OTP to the student's email
+app.post('/student/forgot-password', checkDatabase, async (req, res) => {
+  const { student_id } = req.body;
+
+  try {
+    if (!student_id) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    // Throttled by the typed ID whether or not it exists, so the limit reveals nothing
+    const throttleError = await claimResetCodeRequest([loginAccountKey('student', student_id), `ip:${req.ip}`]);
+    if (throttleError) {
+      return res.status(429).json({ error: throttleError });
+    }
+
+    const student = await db.collection('students').findOne({ student_id: student_id, ...ACTIVE_STUDENT_FILTER });
+
+    // Respond the same way whether or not the account exists
+    const genericMessage = 'If the Student ID exists, a reset code has been sent to the registered email';
+
+    if (!student) {
+      return res.json({ success: true, message: genericMessage });
+    }
+
+    const otp = generateOTP();
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
+
+    // Replace any old code but keep its wrong-guess count, so asking again doesn't buy more guesses
+    await db.collection('student_password_resets').updateOne(
+      { student_id: student.student_id },
+      {
+        $set: { otp: otp, expires_at: expiresAt, created_at: new Date() },
+        $setOnInsert: { attempts: 0 }
+      },
+      { upsert: true }
+    );
+
+    await sendTemplatedEmail(student.email, 'student_password_reset', { name: student.name, otp: otp, expires_minutes: 10 });
+    req.session.pendingResetStudentId = student.student_id;
+    res.json({ success: true, message: genericMessage });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Forgot password - Step 2: Verify OTP and set the new password
+app.post('/student/reset-password', checkDatabase, async (req, res) => {
+  const { otp, new_password } = req.body;
+  const studentId = req.session.pendingResetStudentId;
+
+  try {
+    if (!studentId) {
+      return res.status(400).json({ error: 'Invalid or expired reset code' });
+    }
+
+    const passwordError = validateNewPassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const otpResult = await checkOtpAttempt('student_password_resets', { student_id: studentId }, otp);
+    if (otpResult === 'exhausted') {
+      delete req.session.pendingResetStudentId;
+      return res.status(401).json({ error: 'Too many wrong codes. Please request a new reset code.' });
+    }
+    if (otpResult !== 'valid') {
+      return res.status(401).json({ error: 'Invalid or expired reset code' });
+    }
+
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+    await db.collection('students').updateOne(
+      { student_id: studentId },
+      { $set: { password: hashedPassword, must_change_password: false, updated_at: new Date() } }
+    );
+    await db.collection('student_password_resets').deleteMany({ student_id: studentId }); // Clean up codes
+    await clearLoginFailures(loginAccountKey('student', studentId)); // Proving access to the email lifts a lockout
+    await revokeUserSessions('student', studentId);
+    delete req.session.pendingResetStudentId;
+
+    console.log('✅ Password reset for student:', studentId);
+    res.json({ success: true, message: 'Password reset successfully. You can now log in.' });
+  } catch (error) {
+    console.error('❌ Password reset error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Student change password page
+app.get('/student/change-password', requireStudent, (req, res) => {
+  res.render('student-change-password', {
+    studentName: req.session.studentName,
+    forced: !!req.session.mustChangePassword
+  });
+});
+
+// Student change password
+app.post('/student/change-password', requireStudent, checkDatabase, async (req, res) => {
+  const { current_password, new_password } = req.body;
+  const studentId = req.session.studentId;
+
+  try {
+    const student = await db.collection('students').findOne({ student_id: studentId });
+
+    if (!student || !await bcrypt.compare(current_password || '', student.password)) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordError = validateNewPassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (await bcrypt.compare(new_password, student.password)) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+    await db.collection('students').updateOne(
+      { student_id: studentId },
+      { $set: { password: hashedPassword, must_change_password: false, updated_at: new Date() } }
+    );
+    req.session.mustChangePassword = false;
+    await revokeUserSessions('student', studentId, req.sessionID);
+
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1e3a8a;">Password Changed</h2>
+        <p>Dear ${escapeHtml(student.name)},</p>
+        <p>The password for your student portal account was changed on ${new Date().toLocaleString()}.</p>
+        <p>If you didn't make this change, please contact the administration immediately.</p>
+      </div>
+    `;
+    await sendEmail(student.email, 'Your Password Was Changed - Cloud Domain Portal', emailHtml);
+
+    console.log('✅ Password changed for student:', studentId);
+    res.json({ success: true, message: 'Password changed successfully. Any other devices have been signed out.' });
+  } catch (error) {
+    console.error('❌ Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Student dashboard
+app.get('/student/dashboard', requireStudent, checkDatabase, async (req, res) => {
+  const studentId = req.session.studentId;
+  
+  try {
+    const [student, tasks, totalTasks, pendingTasks, attendance, documents] = await Promise.all([
+      db.collection('students').findOne({ student_id: studentId }),
+      db.collection('tasks').find({ student_id: studentId }).sort({ created_at: -1 }).limit(5).toArray(),
+      db.collection('tasks').countDocuments({ student_id: studentId }),
+      db.collection('tasks').countDocuments({ student_id: studentId, status: 'pending' }),
+      db.collection('attendance').find({ student_id: studentId }).sort({ date: -1 }).limit(5).toArray(),
+      db.collection('documents').find({}).sort({ created_at: -1 }).limit(3).toArray()
+    ]);
+
+    if (!student) {
+      req.session.destroy();
+      return res.redirect('/student-login');
+    }
+
+    const [announcements, schedule] = await Promise.all([
+      loadStudentAnnouncements(student),
+      loadUpcomingSchedule(String(student.batch_year))
+    ]);
+
+    res.render('student-dashboard', {
+      student,
+      schedule,
+      announcements: announcements.slice(0, 5),
+      unreadAnnouncements: announcements.filter(item => !item.read).length,
+      tasks: tasks || [],
+      totalTasks,
+      pendingTasks,
+      attendance: attendance || [],
+      documents: documents || [],
+      studentName: req.session.studentName
+    });
+  } catch (error) {
+    console.error('❌ Error loading student dashboard:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student notice board
+app.get('/student/announcements', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const student = await db.collection('students').findOne({ student_id: req.session.studentId });
+    const announcements = await loadStudentAnnouncements(student);
+
+    res.render('student-announcements', {
+      announcements,
+      studentName: req.session.studentName
+    });
+  } catch (error) {
+    console.error('❌ Error loading announcements:', error);
+    res.status(500).send('Error loading announcements');
+  }
+});
+
+// Mark announcements as read; 'all' marks every announcement the student can see
+app.post('/student/announcements/:id/read', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const student = await db.collection('students').findOne({ student_id: req.session.studentId });
+    const visible = await loadStudentAnnouncements(student);
+    const targets = visible.filter(item => !item.read && (req.params.id === 'all' || item._id.toString() === req.params.id));
+
+    if (targets.length > 0) {
+      await db.collection('announcement_reads').bulkWrite(targets.map(item => ({
+        updateOne: {
+          filter: { announcement_id: item._id, student_id: student.student_id },
+          update: { $setOnInsert: { read_at: new Date() } },
+          upsert: true
+        }
+      })));
+    }
+    res.json({ success: true, unread: visible.filter(item => !item.read).length - targets.length });
+  } catch (error) {
+    console.error('❌ Error marking announcement read:', error);
+    res.status(500).json({ error: 'Failed to update announcement' });
+  }
+});
+
+// Student assessments
+app.get('/student/assessments', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const [assessments, attempts] = await Promise.all([
+      db.collection('assessments')
+        .find({ is_published: true }, { projection: { questions: 0 } })
+        .sort({ created_at: 1 })
+        .toArray(),
+      db.collection('assessment_attempts')
+        .find({ student_id: req.session.studentId, status: 'completed' }, { projection: { questions: 0 } })
+        .sort({ completed_at: -1 })
+        .limit(10)
+        .toArray()
+    ]);
+
+    res.render('student-assessments', { 
+      assessments,
+      attempts,
+      studentName: req.session.studentName 
+    });
+  } catch (error) {
+    console.error('❌ Error loading assessments:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Answers saved slightly after the limit still count, to allow for a slow connection
+const ATTEMPT_GRACE_SECONDS = 30;
+
+// The logged-in student's attempt named in the URL, or null
+async function findStudentAttempt(req) {
+  if (!ObjectId.isValid(req.params.attemptId)) return null;
+  return db.collection('assessment_attempts').findOne({
+    _id: new ObjectId(req.params.attemptId),
+    student_id: req.session.studentId
+  });
+}
+
+function attemptTimeIsUp(attempt, now = new Date()) {
+  if (!attempt.time_limit_minutes) return false;
+  const deadline = attempt.started_at.getTime() + (attempt.time_limit_minutes * 60 + ATTEMPT_GRACE_SECONDS) * 1000;
+  return now.getTime() > deadline;
+}
+
+// Score an in-progress attempt and mark it completed. The update only applies while the attempt
+// is still in progress with the answers that were scored, so concurrent submits score it once.
+// Returns the result, or null if the attempt changed in the meantime.
+async function completeAttempt(attempt) {
+  const completedAt = new Date();
+  const responses = attempt.questions.map((question, index) => ({
+    question_index: index,
+    question: question.question,
+    selected: attempt.answers[index],
+    correct_answer: question.correct,
+    is_correct: attempt.answers[index] === question.correct
+  }));
+
+  const score = responses.filter(r => r.is_correct).length;
+  const total = attempt.questions.length;
+  const result = {
+    score,
+    total,
+    percentage: Math.round((score / total) * 100),
+    timeTakenSeconds: Math.round((completedAt - attempt.started_at) / 1000),
+    overTimeLimit: attemptTimeIsUp(attempt, completedAt)
+  };
+
+  const updated = await db.collection('assessment_attempts').findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress', answers: attempt.answers },
+    {
+      $set: {
+        responses,
+        score,
+        total,
+        percentage: result.percentage,
+        time_taken_seconds: result.timeTakenSeconds,
+        over_time_limit: result.overTimeLimit,
+        status: 'completed',
+        completed_at: completedAt
+      }
+    }
+  );
+  if (!updated) return null;
+
+  console.log(`✅ Assessment submitted by ${attempt.student_id}: ${score}/${total}`);
+  return result;
+}
+
+// Start an assessment attempt
+app.post('/api/student/assessments/:id/start', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    const assessment = await db.collection('assessments').findOne({
+      _id: new ObjectId(req.params.id),
+      is_published: true
+    });
+
+    if (!assessment) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    // Questions are copied into the attempt so later edits don't change an attempt in progress
+    const attempt = {
+      assessment_id: assessment._id,
+      assessment_title: assessment.title,
+      level: assessment.level,
+      student_id: req.session.studentId,
+      student_name: req.session.studentName,
+      questions: assessment.questions,
+      answers: new Array(assessment.questions.length).fill(null),
+      time_limit_minutes: assessment.time_limit_minutes || null,
+      status: 'in_progress',
+      started_at: new Date()
+    };
+
+    const result = await db.collection('assessment_attempts').insertOne(attempt);
+
+    res.json({
+      success: true,
+      attemptId: result.insertedId,
+      title: assessment.title,
+      totalQuestions: assessment.questions.length,
+      timeLimitMinutes: attempt.time_limit_minutes
+    });
+  } catch (error) {
+    console.error('❌ Error starting assessment:', error);
+    res.status(500).json({ error: 'Failed to start assessment' });
+  }
+});
+
+// Get a single question of an attempt (without the answer key)
+app.get('/api/student/attempts/:attemptId/questions/:index', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const attempt = await findStudentAttempt(req);
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ error: 'This attempt has already been submitted' });
+    }
+
+    if (attemptTimeIsUp(attempt)) {
+      await completeAttempt(attempt);
+      return res.status(400).json({ error: 'Time is up. Your answers have been submitted.' });
+    }
+
+    const index = parseInt(req.params.index, 10);
+    if (isNaN(index) || index < 0 || index >= attempt.questions.length) {
+      return res.status(400).json({ error: 'Invalid question number' });
+    }
+
+    const question = attempt.questions[index];
+    res.json({
+      index,
+      total: attempt.questions.length,
+      question: question.question,
+      options: question.options,
+      selected: attempt.answers[index]
+    });
+  } catch (error) {
+    console.error('❌ Error fetching question:', error);
+    res.status(500).json({ error: 'Failed to fetch question' });
+  }
+});
+
+// Save the answer to one question of an attempt
+app.post('/api/student/attempts/:attemptId/answers', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const index = parseInt(req.body.index, 10);
+    const answer = parseInt(req.body.answer, 10);
+
+    const attempt = await findStudentAttempt(req);
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ error: 'This attempt has already been submitted' });
+    }
+
+    if (attemptTimeIsUp(attempt)) {
+      await completeAttempt(attempt);
+      return res.status(400).json({ error: 'Time is up. Your answers have been submitted.' });
+    }
+
+    if (isNaN(index) || index < 0 || index >= attempt.questions.length) {
+      return res.status(400).json({ error: 'Invalid question number' });
+    }
+
+    if (isNaN(answer) || answer < 0 || answer >= attempt.questions[index].options.length) {
+      return res.status(400).json({ error: 'Invalid answer' });
+    }
+
+    await db.collection('assessment_attempts').updateOne(
+      { _id: attempt._id, status: 'in_progress' },
+      { $set: { [`answers.${index}`]: answer } }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error saving answer:', error);
+    res.status(500).json({ error: 'Failed to save answer' });
+  }
+});
+
+// Submit an attempt and score it on the server
+app.post('/api/student/attempts/:attemptId/submit', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const attempt = await findStudentAttempt(req);
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ error: 'This attempt has already been submitted' });
+    }
+
+    const result = await completeAttempt(attempt);
+    if (!result) {
+      return res.status(409).json({ error: 'This attempt was already submitted or changed while submitting' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error submitting assessment:', error);
+    res.status(500).json({ error: 'Failed to submit assessment' });
+  }
+});
+
+// Student downloads the certificate for one of their completed attempts
+app.get('/student/assessments/attempts/:attemptId/certificate.pdf', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.attemptId)) {
+      return res.status(400).send('Invalid attempt ID');
+    }
+
+    const [attempt, student] = await Promise.all([
+      db.collection('assessment_attempts').findOne({
+        _id: new ObjectId(req.params.attemptId),
+        student_id: req.session.studentId,
+        status: 'completed'
+      }),
+      db.collection('students').findOne({ student_id: req.session.studentId })
+    ]);
+    if (!attempt || !student) {
+      return res.status(404).send('Completed attempt not found');
+    }
+    await sendAssessmentCertificatePdf(res, attempt, student, documentIssuer(req, 'student'));
+  } catch (error) {
+    console.error('❌ Error generating certificate:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student tickets
+app.get('/student/tickets', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const seniors = await db.collection('seniors')
+      .find({ available_for_mentoring: true }, { projection: { password: 0 } })
+      .sort({ name: 1 })
+      .toArray();
+
+    res.render('student-tickets', { 
+      seniors,
+      studentName: req.session.studentName 
+    });
+  } catch (error) {
+    console.error('❌ Error loading tickets:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// API to get the logged in student's tickets
+app.get('/api/student/tickets', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const tickets = await db.collection('tickets')
+      .find({ student_id: req.session.studentId })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    res.json({ success: true, tickets });
+  } catch (error) {
+    console.error('❌ Error fetching student tickets:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// Create support ticket
+app.post('/api/student/tickets', requireStudent, checkDatabase, async (req, res) => {
+  const { subject, category, priority, description } = req.body;
+
+  try {
+    if (!subject || !category || !priority || !description) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    if (!TICKET_CATEGORIES.includes(category) || !TICKET_PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: 'Invalid category or priority' });
+    }
+
+    const ticketDoc = {
+      student_id: req.session.studentId,
+      student_name: req.session.studentName,
+      student_email: req.session.studentEmail,
+      subject: subject,
+      category: category,
+      priority: priority,
+      description: description,
+      status: 'open',
+      assigned_to: null,
+      comments: [],
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    const result = await db.collection('tickets').insertOne(ticketDoc);
+    console.log('✅ Ticket created:', result.insertedId);
+    res.json({ success: true, message: 'Support ticket created successfully! You will be notified when a senior responds.' });
+  } catch (error) {
+    console.error('❌ Error creating ticket:', error);
+    res.status(500).json({ error: 'Failed to create ticket' });
+  }
+});
+
+// Student comment on own ticket
+app.post('/api/student/tickets/:id/comments', requireStudent, checkDatabase, async (req, res) => {
+  const { message } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ticket ID' });
+    }
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const ticket = await db.collection('tickets').findOne({
+      _id: new ObjectId(req.params.id),
+      student_id: req.session.studentId
+    });
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    await addTicketComment(ticket._id, {
+      type: 'student',
+      id: req.session.studentId,
+      name: req.session.studentName
+    }, message.trim());
+
+    res.json({ success: true, message: 'Comment added' });
+  } catch (error) {
+    console.error('❌ Error adding ticket comment:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// Student tasks
+app.get('/student/tasks', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const tasks = await db.collection('tasks')
+      .find({ student_id: req.session.studentId })
+      .sort({ due_date: 1 })
+      .toArray();
+
+    res.render('student-tasks', { tasks, studentName: req.session.studentName });
+  } catch (error) {
+    console.error('❌ Error loading tasks:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Submit work for a task (text, link or file)
+app.post('/student/tasks/:id/submit', requireStudent, checkDatabase, handleSubmissionUpload, async (req, res) => {
+  const { submission_type, text, link } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      if (req.file) removeStoredFile(req.file.path);
+      return res.status(400).json({ error: 'Invalid task ID' });
+    }
+
+    const task = await db.collection('tasks').findOne({
+      _id: new ObjectId(req.params.id),
+      student_id: req.session.studentId
+    });
+
+    if (!task) {
+      if (req.file) removeStoredFile(req.file.path);
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (task.status === 'completed') {
+      if (req.file) removeStoredFile(req.file.path);
+      return res.status(400).json({ error: 'This task has already been graded' });
+    }
+
+    const submission = { type: submission_type, submitted_at: new Date() };
+
+    if (submission_type === 'text') {
+      if (!text || !text.trim()) {
+        if (req.file) removeStoredFile(req.file.path);
+        return res.status(400).json({ error: 'Submission text is required' });
+      }
+      submission.text = text.trim();
+    } else if (submission_type === 'link') {
+      if (!link || !/^https?:\/\//i.test(link)) {
+        if (req.file) removeStoredFile(req.file.path);
+        return res.status(400).json({ error: 'A valid http(s) link is required' });
+      }
+      submission.link = link.trim();
+    } else if (submission_type === 'file') {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+      submission.file = {
+        filename: req.file.filename,
+        original_name: req.file.originalname,
+        file_path: req.file.path,
+        file_size: req.file.size
+      };
+    } else {
+      if (req.file) removeStoredFile(req.file.path);
+      return res.status(400).json({ error: 'Invalid submission type' });
+    }
+
+    if (submission_type !== 'file' && req.file) {
+      removeStoredFile(req.file.path);
+    }
+
+    await db.collection('tasks').updateOne(
+      { _id: task._id },
+      {
+        $set: {
+          submission: submission,
+          status: 'submitted',
+          is_late: submission.submitted_at > task.due_date,
+          updated_at: new Date()
+        }
+      }
+    );
+
+    // A resubmission replaces the previously uploaded file
+    if (task.submission && task.submission.file) {
+      removeStoredFile(task.submission.file.file_path);
+    }
+
+    console.log(`✅ Task submitted by ${req.session.studentId}:`, task.title);
+    res.json({ success: true, message: 'Work submitted successfully' });
+  } catch (error) {
+    console.error('❌ Error submitting task:', error);
+    if (req.file) removeStoredFile(req.file.path);
+    res.status(500).json({ error: 'Failed to submit work' });
+  }
+});
+
+// Student download of their own submitted file
+app.get('/student/tasks/:id/file', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).send('File not found');
+    }
+
+    const task = await db.collection('tasks').findOne({
+      _id: new ObjectId(req.params.id),
+      student_id: req.session.studentId
+    });
+
+    if (!task || !task.submission || !task.submission.file || !fs.existsSync(task.submission.file.file_path)) {
+      return res.status(404).send('File not found');
+    }
+
+    res.download(path.resolve(task.submission.file.file_path), task.submission.file.original_name);
+  } catch (error) {
+    console.error('❌ Error downloading submission:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student attendance view
+app.get('/student/attendance', requireStudent, async (req, res) => {
+  try {
+    res.render('student-attendance', { 
+      studentName: req.session.studentName 
+    });
+  } catch (error) {
+    console.error('❌ Error loading attendance:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// API to get student's attendance data
+app.get('/api/student/attendance', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const studentId = req.session.studentId;
+    
+    const [attendance, disputes] = await Promise.all([
+      db.collection('attendance')
+        .find({ student_id: studentId })
+        .sort({ date: -1 })
+        .toArray(),
+      db.collection('attendance_disputes')
+        .find({ student_id: studentId })
+        .sort({ created_at: -1 })
+        .toArray()
+    ]);
+    
+    res.json({ success: true, attendance, disputes });
+  } catch (error) {
+    console.error('❌ Error fetching student attendance:', error);
+    res.status(500).json({ error: 'Failed to fetch attendance data' });
+  }
+});
+
+// Student downloads their attendance statement as PDF
+app.get('/student/attendance/statement.pdf', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const period = parseStatementPeriod(req.query);
+    if (period.error) {
+      return res.status(400).send(period.error);
+    }
+
+    const statement = await buildAttendanceStatement(req.session.studentId, period);
+    if (!statement) {
+      return res.status(404).send('Student not found');
+    }
+    await sendAttendanceStatementPdf(res, statement, documentIssuer(req, 'student'));
+  } catch (error) {
+    console.error('❌ Error generating attendance statement:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student disputes one of their attendance records
+app.post('/student/attendance/:id/dispute', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const requestedStatus = req.body.requested_status;
+    const reason = String(req.body.reason || '').trim();
+    if (!ATTENDANCE_STATUSES.includes(requestedStatus)) {
+      return res.status(400).json({ error: 'Please choose the status you should have been marked' });
+    }
+    if (reason.length < 10 || reason.length > 1000) {
+      return res.status(400).json({ error: 'Reason must be between 10 and 1000 characters' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid record ID' });
+    }
+
+    const record = await db.collection('attendance').findOne({
+      _id: new ObjectId(req.params.id),
+      student_id: req.session.studentId
+    });
+    if (!record) {
+      return res.status(404).json({ error: 'Attendance record not found' });
+    }
+    if (record.status === requestedStatus) {
+      return res.status(400).json({ error: `You are already marked ${requestedStatus} for this class` });
+    }
+
+    const pending = await db.collection('attendance_disputes').findOne({ record_id: record._id, status: 'pending' });
+    if (pending) {
+      return res.status(400).json({ error: 'You already have a pending dispute for this class' });
+    }
+
+    await db.collection('attendance_disputes').insertOne({
+      record_id: record._id,
+      student_id: record.student_id,
+      student_name: req.session.studentName,
+      date: record.date,
+      subject: record.subject,
+      batch: record.batch,
+      current_status: record.status,
+      requested_status: requestedStatus,
+      reason: reason,
+      status: 'pending',
+      created_at: new Date()
+    });
+
+    res.json({ success: true, message: 'Dispute submitted. You will be emailed when it is reviewed.' });
+  } catch (error) {
+    console.error('❌ Error submitting attendance dispute:', error);
+    res.status(500).json({ error: 'Failed to submit dispute' });
+  }
+});
+
+// Student documents
+app.get('/student/documents', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const documents = await db.collection('documents').find({}).sort({ created_at: -1 }).toArray();
+    res.render('student-documents', { documents, studentName: req.session.studentName });
+  } catch (error) {
+    console.error('❌ Error fetching documents:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student document download
+app.get('/student/documents/:id/download', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).send('Document not found');
+    }
+
+    const document = await db.collection('documents').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!document || !document.file_path || !fs.existsSync(document.file_path)) {
+      return res.status(404).send('Document not found');
+    }
+
+    await db.collection('documents').updateOne(
+      { _id: document._id },
+      { $inc: { download_count: 1 } }
+    );
+
+    res.download(path.resolve(document.file_path), document.original_name || document.filename);
+  } catch (error) {
+    console.error('❌ Error downloading document:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student seniors connection
+app.get('/student/seniors', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const [seniors, slots, sessions] = await Promise.all([
+      db.collection('seniors')
+        .find({ available_for_mentoring: true }, { projection: { password: 0 } })
+        .sort({ name: 1 })
+        .toArray(),
+      db.collection('mentoring_slots')
+        .find({ status: 'open', start_at: { $gt: new Date() } })
+        .sort({ start_at: 1 })
+        .toArray(),
+      db.collection('mentoring_sessions')
+        .find({ student_id: req.session.studentId })
+        .sort({ start_at: -1 })
+        .toArray()
+    ]);
+
+    res.render('student-seniors', {
+      seniors: seniors.map(senior => ({
+        ...senior,
+        slots: slots.filter(slot => slot.senior_id === senior._id.toString())
+      })),
+      sessions,
+      studentName: req.session.studentName
+    });
+  } catch (error) {
+    console.error('❌ Error fetching seniors:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student requests a mentoring session in one of a senior's open slots
+app.post('/student/mentoring', requireStudent, checkDatabase, async (req, res) => {
+  const { slot_id, topic } = req.body;
+  let heldSlot = null;
+  let sessionSaved = false;
+
+  try {
+    if (!slot_id || !topic || !topic.trim()) {
+      return res.status(400).json({ error: 'Choose a slot and describe what you would like to discuss' });
+    }
+    if (topic.trim().length > 500) {
+      return res.status(400).json({ error: 'Topic must be 500 characters or less' });
+    }
+    if (!ObjectId.isValid(slot_id)) {
+      return res.status(400).json({ error: 'Invalid slot ID' });
+    }
+
+    // Hold the slot first so two students can't request the same one
+    const slot = await db.collection('mentoring_slots').findOneAndUpdate(
+      { _id: new ObjectId(slot_id), status: 'open', start_at: { $gt: new Date() } },
+      { $set: { status: 'held', updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!slot) {
+      return res.status(400).json({ error: 'This slot is no longer available' });
+    }
+    heldSlot = slot;
+
+    const senior = await db.collection('seniors').findOne({
+      _id: new ObjectId(slot.senior_id),
+      available_for_mentoring: true
+    });
+    if (!senior) {
+      await db.collection('mentoring_slots').updateOne({ _id: slot._id }, { $set: { status: 'open' } });
+      return res.status(400).json({ error: 'This senior is not taking mentoring requests right now' });
+    }
+
+    const session = {
+      slot_id: slot._id,
+      senior_id: slot.senior_id,
+      senior_name: senior.name,
+      senior_email: senior.email,
+      student_id: req.session.studentId,
+      student_name: req.session.studentName,
+      student_email: req.session.studentEmail,
+      start_at: slot.start_at,
+      end_at: slot.end_at,
+      duration_minutes: slot.duration_minutes,
+      topic: topic.trim(),
+      status: 'requested',
+      response_note: '',
+      created_at: new Date(),
+      responded_at: null
+    };
+    await db.collection('mentoring_sessions').insertOne(session);
+    sessionSaved = true;
+
+    await notifyMentoringSession(session, 'requested');
+    res.json({ success: true, message: `Request sent to ${senior.name}. You will get an email when they respond.` });
+  } catch (error) {
+    console.error('❌ Error requesting mentoring session:', error);
+    // Don't leave the slot held when no session was booked into it
+    if (heldSlot && !sessionSaved) {
+      await db.collection('mentoring_slots').updateOne({ _id: heldSlot._id }, { $set: { status: 'open' } })
+        .catch(releaseError => console.error('❌ Error releasing mentoring slot:', releaseError));
+    }
+    res.status(500).json({ error: 'Failed to request session' });
+  }
+});
+
+// Student cancels an upcoming session or pending request
+app.post('/student/mentoring/:id/cancel', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const session = await db.collection('mentoring_sessions').findOneAndUpdate(
+      {
+        _id: new ObjectId(req.params.id),
+        student_id: req.session.studentId,
+        status: { $in: ['requested', 'accepted'] },
+        start_at: { $gt: new Date() }
+      },
+      { $set: { status: 'cancelled', cancelled_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found or can no longer be cancelled' });
+    }
+
+    await releaseMentoringSlot(session);
+    await notifyMentoringSession(session, 'cancelled');
+    res.json({ success: true, message: 'Session cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling mentoring session:', error);
+    res.status(500).json({ error: 'Failed to cancel session' });
+  }
+});
+
+const EMAIL_CHANGE_TTL_HOURS = 24;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Start an email change: the new address only replaces the old one once the emailed link is opened
+async function requestEmailChange(student, newEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.collection('student_email_changes').deleteMany({ student_id: student.student_id });
+  await db.collection('student_email_changes').insertOne({
+    student_id: student.student_id,
+    new_email: newEmail,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000),
+    created_at: new Date()
+  });
+
+  const verifyHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1e3a8a;">Confirm Your New Email</h2>
+      <p>Dear ${escapeHtml(student.name)},</p>
+      <p>Please confirm that you want to use this address for your Cloud Domain Portal account:</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${PORTAL_URL}/student/verify-email?token=${token}"
+           style="background: #1e3a8a; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">
+          Confirm Email Address
+        </a>
+      </p>
+      <p>This link will expire in ${EMAIL_CHANGE_TTL_HOURS} hours. If you didn't ask for this, please ignore this email.</p>
+    </div>
+  `;
+  const noticeHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1e3a8a;">Email Change Requested</h2>
+      <p>Dear ${escapeHtml(student.name)},</p>
+      <p>Someone asked to change the email on your Cloud Domain Portal account to
+         <strong>${escapeHtml(newEmail)}</strong>. Nothing changes until the link sent to that address is opened.</p>
+      <p>If this wasn't you, log in and change your password.</p>
+    </div>
+  `;
+
+  const [verifySent] = await Promise.all([
+    sendEmail(newEmail, 'Confirm Your New Email - Cloud Domain Portal', verifyHtml),
+    sendEmail(student.email, 'Email Change Requested - Cloud Domain Portal', noticeHtml)
+  ]);
+  return verifySent;
+}
+
+// Student profile
+app.get('/student/profile', requireStudent, checkDatabase, async (req, res) => {
+  const studentId = req.session.studentId;
+  
+  try {
+    const [student, pendingEmailChange, attempts] = await Promise.all([
+      db.collection('students').findOne({ student_id: studentId }),
+      db.collection('student_email_changes').findOne({ student_id: studentId, expires_at: { $gt: new Date() } }),
+      db.collection('assessment_attempts')
+        .find({ student_id: studentId, status: 'completed' }, { projection: { assessment_title: 1, percentage: 1, completed_at: 1 } })
+        .sort({ completed_at: -1 })
+        .limit(20)
+        .toArray()
+    ]);
+    
+    if (!student) {
+      return res.status(404).send('Student not found');
+    }
+    
+    res.render('student-profile', { 
+      student: student, 
+      studentName: req.session.studentName,
+      pendingEmail: pendingEmailChange ? pendingEmailChange.new_email : null,
+      attempts
+    });
+  } catch (error) {
+    console.error('❌ Error fetching student profile:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Update student profile; a new email is only applied after it has been verified
+app.post('/student/profile', requireStudent, checkDatabase, async (req, res) => {
+  const studentId = req.session.studentId;
+  // Course and year come from the student's batch and department, so only the admin office changes them
+  const { name, email, phone } = req.body;
+  
+  try {
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const student = await db.collection('students').findOne({ student_id: studentId });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const newEmail = (email || '').trim().toLowerCase();
+    const emailChanged = newEmail && newEmail !== student.email.toLowerCase();
+    if (emailChanged) {
+      if (!/^[^\s@]+@gmail\.com$/.test(newEmail)) {
+        return res.status(400).json({ error: 'Email must be a Gmail address' });
+      }
+
+      const emailTaken = await db.collection('students').findOne({
+        email: new RegExp(`^${escapeRegex(newEmail)}$`, 'i')
+      });
+      if (emailTaken) {
+        return res.status(400).json({ error: 'This email is already used by another account' });
+      }
+    }
+
+    await db.collection('students').updateOne(
+      { student_id: studentId },
+      { 
+        $set: { 
+          name: name.trim(), 
+          phone: phone, 
+          updated_at: new Date()
+        }
+      }
+    );
+    
+    req.session.studentName = name.trim();
+
+    if (!emailChanged) {
+      return res.json({ success: true, message: 'Profile updated successfully' });
+    }
+
+    const verificationSent = await requestEmailChange(student, newEmail);
+    res.json({
+      success: true,
+      message: verificationSent
+        ? `Profile updated. We sent a confirmation link to ${newEmail}; your email will change once you open it.`
+        : 'Profile updated, but the confirmation email could not be sent. Please try changing your email again later.'
+    });
+  } catch (error) {
+    console.error('❌ Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Confirm an email change from the link sent to the new address
+app.get('/student/verify-email', checkDatabase, async (req, res) => {
+  try {
+    const change = typeof req.query.token === 'string'
+      ? await db.collection('student_email_changes').findOneAndDelete({
+        token_hash: hashToken(req.query.token),
+        expires_at: { $gt: new Date() }
+      })
+      : null;
+
+    if (!change) {
+      return res.status(400).render('student-verify-email', {
+        success: false,
+        message: 'This link is invalid or has expired. You can request the change again from your profile.'
+      });
+    }
+
+    let result;
+    try {
+      result = await db.collection('students').updateOne(
+        { student_id: change.student_id, ...ACTIVE_STUDENT_FILTER },
+        { $set: { email: change.new_email, updated_at: new Date() } }
+      );
+    } catch (error) {
+      // The unique email index catches an address claimed after the change was requested
+      if (error.code === 11000) {
+        return res.status(409).render('student-verify-email', {
+          success: false,
+          message: 'This email is now used by another account, so your email was not changed.'
+        });
+      }
+      throw error;
+    }
+
+    if (result.matchedCount === 0) {
+      return res.status(400).render('student-verify-email', {
+        success: false,
+        message: 'This account is no longer active.'
+      });
+    }
+
+    // Open tickets and mentoring sessions keep a copy of the address for notifications
+    await Promise.all([
+      db.collection('tickets').updateMany(
+        { student_id: change.student_id, status: { $ne: 'resolved' } },
+        { $set: { student_email: change.new_email } }
+      ),
+      db.collection('mentoring_sessions').updateMany(
+        { student_id: change.student_id, status: { $in: ['requested', 'accepted'] } },
+        { $set: { student_email: change.new_email } }
+      )
+    ]);
+
+    if (req.session.studentId === change.student_id) {
+      req.session.studentEmail = change.new_email;
+    }
+
+    console.log('✅ Email changed for student:', change.student_id);
+    res.render('student-verify-email', {
+      success: true,
+      message: `Your email is now ${change.new_email}.`
+    });
+  } catch (error) {
+    console.error('❌ Error verifying email change:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Cancel a pending email change
+app.post('/student/profile/email/cancel', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    await db.collection('student_email_changes').deleteMany({ student_id: req.session.studentId });
+    res.json({ success: true, message: 'Email change cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling email change:', error);
+    res.status(500).json({ error: 'Failed to cancel email change' });
+  }
+});
+
+// Upload a profile photo
+app.post('/student/profile/avatar', requireStudent, checkDatabase, handleAvatarUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Please choose an image' });
+    }
+
+    const { error, filePath } = await saveAvatarImage(req.file.buffer, req.session.studentId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const student = await db.collection('students').findOneAndUpdate(
+      { student_id: req.session.studentId },
+      { $set: { profile_image: filePath, updated_at: new Date() } },
+      { returnDocument: 'before' }
+    );
+    if (student) {
+      removeStoredFile(student.profile_image);
+    }
+
+    res.json({ success: true, message: 'Profile photo updated' });
+  } catch (error) {
+    console.error('❌ Error uploading profile photo:', error);
+    res.status(500).json({ error: 'Failed to upload profile photo' });
+  }
+});
+
+// Remove the profile photo
+app.delete('/student/profile/avatar', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const student = await db.collection('students').findOneAndUpdate(
+      { student_id: req.session.studentId },
+      { $set: { profile_image: '', updated_at: new Date() } },
+      { returnDocument: 'before' }
+    );
+    if (student) {
+      removeStoredFile(student.profile_image);
+    }
+
+    res.json({ success: true, message: 'Profile photo removed' });
+  } catch (error) {
+    console.error('❌ Error removing profile photo:', error);
+    res.status(500).json({ error: 'Failed to remove profile photo' });
+  }
+});
+
+// Serve the logged in student's profile photo
+app.get('/student/avatar', requireStudent, checkDatabase, async (req, res) => {
+  try {
+    const student = await db.collection('students').findOne(
+      { student_id: req.session.studentId },
+      { projection: { profile_image: 1 } }
+    );
+
+    if (!student || !student.profile_image || !fs.existsSync(student.profile_image)) {
+      return res.status(404).send('No profile photo');
+    }
+
+    res.sendFile(path.resolve(student.profile_image));
+  } catch (error) {
+    console.error('❌ Error serving profile photo:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Student logout
+app.post('/student/logout', (req, res) => {
+  console.log('🔓 Student logout:', req.session.studentId);
+  req.session.destroy();
+  res.json({ success: true });
+});
+
+// Headline counts for the admin dashboard and the API
+async function getDashboardStats() {
+  const [totalStudents, totalTasks, pendingTasks, totalDocuments] = await Promise.all([
+    db.collection('students').countDocuments(ACTIVE_STUDENT_FILTER),
+    db.collection('tasks').countDocuments(),
+    db.collection('tasks').countDocuments({ status: 'pending' }),
+    db.collection('documents').countDocuments()
+  ]);
+
+  return { totalStudents, totalTasks, pendingTasks, totalDocuments };
+}
+
+// API Routes for admin
+app.get('/api/admin/stats', requireAdmin, checkDatabase, async (req, res) => {
+  try {
+    res.json(await getDashboardStats());
+  } catch (error) {
+    console.error('❌ Error fetching stats:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin attendance management
+app.get('/admin/attendance', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const [subjects, placement] = await Promise.all([
+      db.collection('subjects').find({ active: true }).sort({ name: 1 }).toArray(),
+      loadPlacementOptions()
+    ]);
+
+    res.render('admin-attendance', {
+      subjects: subjects.map(subject => subject.name),
+      batches: placement.batches,
+      canEditTimetable: adminCan(req.session.adminRole, 'timetable')
+    });
+  } catch (error) {
+    console.error('❌ Error loading attendance page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin document management
+app.get('/admin/documents', requireAdmin, requirePermission('documents'), checkDatabase, async (req, res) => {
+  try {
+    const documents = await db.collection('documents').find({}).sort({ created_at: -1 }).toArray();
+    res.render('admin-documents', { documents });
+  } catch (error) {
+    console.error('❌ Error loading documents page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Upload document
+app.post('/admin/documents/upload', requireAdmin, requirePermission('documents'), checkDatabase, handleDocumentUpload, async (req, res) => {
+  try {
+    const { title, description, category } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    if (!title || !category) {
+      removeStoredFile(req.file.path);
+      return res.status(400).json({ error: 'Title and category are required' });
+    }
+
+    const validationError = validateDocumentFile(req.file, category);
+    if (validationError) {
+      removeStoredFile(req.file.path);
+      return res.status(400).json({ error: validationError });
+    }
+
+    const documentDoc = {
+      title: title,
+      description: description || '',
+      category: category,
+      filename: req.file.filename,
+      original_name: req.file.originalname,
+      file_path: req.file.path,
+      file_size: req.file.size,
+      mime_type: DOCUMENT_MIME_TYPES[path.extname(req.file.originalname).toLowerCase()],
+      download_count: 0,
+      uploaded_by: adminActor(req).name,
+      uploaded_by_id: adminActor(req).id,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+    
+    await db.collection('documents').insertOne(documentDoc);
+    await recordAudit(req, {
+      action: 'document.upload',
+      targetType: 'document',
+      targetId: documentDoc._id,
+      label: title,
+      after: documentDoc
+    });
+    console.log('✅ Document uploaded:', req.file.filename);
+    res.json({ success: true, message: 'Document uploaded successfully' });
+  } catch (error) {
+    console.error('❌ Error uploading document:', error);
+    if (req.file) {
+      removeStoredFile(req.file.path);
+    }
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+// Replace document file and/or update its details
+app.put('/admin/documents/:id', requireAdmin, requirePermission('documents'), checkDatabase, handleDocumentUpload, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      if (req.file) {
+        removeStoredFile(req.file.path);
+      }
+      return res.status(400).json({ error: 'Invalid document ID' });
+    }
+
+    const document = await db.collection('documents').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!document) {
+      if (req.file) {
+        removeStoredFile(req.file.path);
+      }
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { title, description, category } = req.body;
+    const updates = {
+      title: title || document.title,
+      description: description !== undefined ? description : document.description,
+      category: category || document.category,
+      updated_at: new Date()
+    };
+
+    if (req.file) {
+      const validationError = validateDocumentFile(req.file, updates.category);
+      if (validationError) {
+        removeStoredFile(req.file.path);
+        return res.status(400).json({ error: validationError });
+      }
+
+      updates.filename = req.file.filename;
+      updates.original_name = req.file.originalname;
+      updates.file_path = req.file.path;
+      updates.file_size = req.file.size;
+      updates.mime_type = DOCUMENT_MIME_TYPES[path.extname(req.file.originalname).toLowerCase()];
+    } else if (updates.category !== document.category && document.original_name) {
+      // Existing file must still satisfy the rules of the new category
+      const validationError = validateDocumentFile(
+        { originalname: document.original_name, size: document.file_size },
+        updates.category
+      );
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    await db.collection('documents').updateOne({ _id: document._id }, { $set: updates });
+    await recordAudit(req, {
+      action: 'document.update',
+      targetType: 'document',
+      targetId: document._id,
+      label: updates.title,
+      before: document,
+      after: { ...document, ...updates }
+    });
+
+    if (req.file) {
+      removeStoredFile(document.file_path);
+    }
+
+    res.json({ success: true, message: 'Document updated successfully' });
+  } catch (error) {
+    console.error('❌ Error updating document:', error);
+    if (req.file) {
+      removeStoredFile(req.file.path);
+    }
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+});
+
+// Delete document
+app.delete('/admin/documents/:id', requireAdmin, requirePermission('documents'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid document ID' });
+    }
+
+    const document = await db.collection('documents').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    removeStoredFile(document.file_path);
+    await recordAudit(req, {
+      action: 'document.delete',
+      targetType: 'document',
+      targetId: document._id,
+      label: document.title,
+      before: document
+    });
+    res.json({ success: true, message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting document:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// Admin document preview/download
+app.get('/admin/documents/:id/download', requireAdmin, requirePermission('documents'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).send('Document not found');
+    }
+
+    const document = await db.collection('documents').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!document || !document.file_path || !fs.existsSync(document.file_path)) {
+      return res.status(404).send('Document not found');
+    }
+
+    res.download(path.resolve(document.file_path), document.original_name || document.filename);
+  } catch (error) {
+    console.error('❌ Error downloading document:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin assessment management
+app.get('/admin/assessments', requireAdmin, requirePermission('assessments'), checkDatabase, async (req, res) => {
+  try {
+    const assessments = await db.collection('assessments').find({}).sort({ created_at: 1 }).toArray();
+
+    const attemptStats = await db.collection('assessment_attempts').aggregate([
+      { $match: { status: 'completed' } },
+      {
+        $group: {
+          _id: '$assessment_id',
+          attempts: { $sum: 1 },
+          average: { $avg: '$percentage' }
+        }
+      }
+    ]).toArray();
+
+    const statsById = {};
+    attemptStats.forEach(stat => {
+      statsById[stat._id.toString()] = stat;
+    });
+
+    res.render('admin-assessments', { assessments, statsById });
+  } catch (error) {
+    console.error('❌ Error loading assessments page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Get a single assessment including the answer key (for editing)
+app.get('/api/admin/assessments/:id', requireAdmin, requirePermission('assessments'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid assessment ID' });
+    }
+
+    const assessment = await db.collection('assessments').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!assessment) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    res.json(assessment);
+  } catch (error) {
+    console.error('❌ Error fetching assessment:', error);
+    res.status(500).json({ error: 'Failed to fetch assessment' });
+  }
+});
+
+// Create assessment
+app.post('/admin/assessments', requireAdmin, requirePermission('assessments'), checkDatabase, async (req, res) => {
+  try {
+    const { error, assessment } = parseAssessmentInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    assessment.created_by = adminActor(req).name;
+    assessment.created_by_id = adminActor(req).id;
+    assessment.created_at = new Date();
+    assessment.updated_at = new Date();
+
+    await db.collection('assessments').insertOne(assessment);
+    await recordAudit(req, {
+      action: 'assessment.create',
+      targetType: 'assessment',
+      targetId: assessment._id,
+      label: assessment.title,
+      after: assessment
+    });
+    console.log('✅ Assessment created:', assessment.title);
+    res.json({ success: true, message: 'Assessment created successfully' });
+  } catch (error) {
+    console.error('❌ Error creating assessment:', error);
+    res.status(500).json({ error: 'Failed to create assessment' });
+  }
+});
+
+// Update assessment
+app.put('/admin/assessments/:id', requireAdmin, requirePermission('assessments'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid assessment ID' });
+    }
+
+    const { error, assessment } = parseAssessmentInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    assessment.updated_at = new Date();
+
+    const previous = await db.collection('assessments').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: assessment },
+      { returnDocument: 'before' }
+    );
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'assessment.update',
+      targetType: 'assessment',
+      targetId: previous._id,
+      label: assessment.title,
+      before: previous,
+      after: { ...previous, ...assessment }
+    });
+
+    res.json({ success: true, message: 'Assessment updated successfully' });
+  } catch (error) {
+    console.error('❌ Error updating assessment:', error);
+    res.status(500).json({ error: 'Failed to update assessment' });
+  }
+});
+
+// Delete assessment (attempts are kept for the record)
+app.delete('/admin/assessments/:id', requireAdmin, requirePermission('assessments'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid assessment ID' });
+    }
+
+    const assessment = await db.collection('assessments').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+
+    if (assessment) {
+      await recordAudit(req, {
+        action: 'assessment.delete',
+        targetType: 'assessment',
+        targetId: assessment._id,
+        label: assessment.title,
+        before: assessment
+      });
+      res.json({ success: true, message: 'Assessment deleted successfully' });
+    } else {
+      res.status(404).json({ error: 'Assessment not found' });
+    }
+  } catch (error) {
+    console.error('❌ Error deleting assessment:', error);
+    res.status(500).json({ error: 'Failed to delete assessment' });
+  }
+});
+
+// Completed attempts for an assessment, with per-question answers
+app.get('/api/admin/assessments/:id/attempts', requireAdmin, requirePermission('assessments'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid assessment ID' });
+    }
+
+    const attempts = await db.collection('assessment_attempts')
+      .find(
+        { assessment_id: new ObjectId(req.params.id), status: 'completed' },
+        { projection: { questions: 0, answers: 0 } }
+      )
+      .sort({ completed_at: -1 })
+      .toArray();
+
+    res.json(attempts);
+  } catch (error) {
+    console.error('❌ Error fetching assessment attempts:', error);
+    res.status(500).json({ error: 'Failed to fetch attempts' });
+  }
+});
+
+// Certificate for any completed attempt
+app.get('/admin/assessments/attempts/:attemptId/certificate.pdf', requireAdmin, requirePermission('assessments'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.attemptId)) {
+      return res.status(400).send('Invalid attempt ID');
+    }
+
+    const attempt = await db.collection('assessment_attempts').findOne({
+      _id: new ObjectId(req.params.attemptId),
+      status: 'completed'
+    });
+    const student = attempt && await db.collection('students').findOne({ student_id: attempt.student_id });
+    if (!attempt || !student) {
+      return res.status(404).send('Completed attempt not found');
+    }
+    await sendAssessmentCertificatePdf(res, attempt, student, documentIssuer(req, 'admin'));
+  } catch (error) {
+    console.error('❌ Error generating certificate:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin task management
+app.get('/admin/tasks', requireAdmin, requirePermission('tasks'), checkDatabase, async (req, res) => {
+  try {
+    const [assignments, placement] = await Promise.all([
+      db.collection('tasks').aggregate([
+        {
+          $group: {
+            _id: '$assignment_id',
+            title: { $first: '$title' },
+            instructions: { $first: '$instructions' },
+            due_date: { $first: '$due_date' },
+            target: { $first: '$target' },
+            created_at: { $first: '$created_at' },
+            total: { $sum: 1 },
+            pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+            submitted: { $sum: { $cond: [{ $eq: ['$status', 'submitted'] }, 1, 0] } },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+          }
+        },
+        { $sort: { created_at: -1 } }
+      ]).toArray(),
+      loadPlacementOptions()
+    ]);
+
+    res.render('admin-tasks', { assignments, batches: placement.batches });
+  } catch (error) {
+    console.error('❌ Error loading tasks page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Assign a task to a batch or to individual students
+app.post('/admin/tasks', requireAdmin, requirePermission('tasks'), checkDatabase, async (req, res) => {
+  const { title, instructions, due_date, target_type, batch, student_ids } = req.body;
+
+  try {
+    if (!title || !instructions || !due_date || !target_type) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    const dueDate = new Date(due_date);
+    if (isNaN(dueDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid due date' });
+    }
+
+    let studentQuery;
+    let target;
+    if (target_type === 'batch') {
+      const batchDoc = await resolveBatch(batch);
+      if (!batchDoc) {
+        return res.status(400).json({ error: 'Select a batch from the list' });
+      }
+      studentQuery = { batch_year: batchDoc.code };
+      target = { type: 'batch', batch: batchDoc.code };
+    } else if (target_type === 'students') {
+      const ids = (Array.isArray(student_ids) ? student_ids : String(student_ids || '').split(','))
+        .map(id => id.trim())
+        .filter(id => id);
+      if (ids.length === 0) {
+        return res.status(400).json({ error: 'At least one student ID is required' });
+      }
+      studentQuery = { student_id: { $in: ids } };
+      target = { type: 'students', student_ids: ids };
+    } else {
+      return res.status(400).json({ error: 'Invalid target type' });
+    }
+
+    const students = await db.collection('students').find({ ...studentQuery, ...ACTIVE_STUDENT_FILTER }).toArray();
+    if (students.length === 0) {
+      return res.status(400).json({ error: 'No matching students found' });
+    }
+
+    const assignmentId = new ObjectId();
+    const taskDocs = students.map(student => ({
+      assignment_id: assignmentId,
+      title: title,
+      instructions: instructions,
+      due_date: dueDate,
+      target: target,
+      student_id: student.student_id,
+      student_name: student.name,
+      status: 'pending',
+      submission: null,
+      grade: null,
+      feedback: '',
+      assigned_by: adminActor(req).name,
+      assigned_by_id: adminActor(req).id,
+      created_at: new Date(),
+      updated_at: new Date()
+    }));
+
+    await db.collection('tasks').insertMany(taskDocs);
+    await recordAudit(req, {
+      action: 'task.assign',
+      targetType: 'task',
+      targetId: assignmentId,
+      label: title,
+      studentIds: taskDocs.map(task => task.student_id),
+      after: { title, instructions, due_date: dueDate, target }
+    });
+    console.log(`✅ Task "${title}" assigned to ${taskDocs.length} students`);
+    res.json({ success: true, message: `Task assigned to ${taskDocs.length} students` });
+  } catch (error) {
+    console.error('❌ Error assigning task:', error);
+    res.status(500).json({ error: 'Failed to assign task' });
+  }
+});
+
+// Per-student tasks of one assignment
+app.get('/api/admin/tasks/:assignmentId', requireAdmin, requirePermission('tasks'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.assignmentId)) {
+      return res.status(400).json({ error: 'Invalid assignment ID' });
+    }
+
+    const tasks = await db.collection('tasks')
+      .find({ assignment_id: new ObjectId(req.params.assignmentId) })
+      .sort({ student_id: 1 })
+      .toArray();
+
+    res.json({ success: true, tasks });
+  } catch (error) {
+    console.error('❌ Error fetching assignment tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Grade a student's submission
+app.post('/admin/tasks/:id/grade', requireAdmin, requirePermission('tasks'), checkDatabase, async (req, res) => {
+  const { grade, feedback } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid task ID' });
+    }
+
+    if (!grade) {
+      return res.status(400).json({ error: 'Grade is required' });
+    }
+
+    const gradeUpdate = {
+      grade: grade,
+      feedback: feedback || '',
+      status: 'completed',
+      graded_by: adminActor(req).name,
+      graded_by_id: adminActor(req).id,
+      graded_at: new Date(),
+      updated_at: new Date()
+    };
+    const previous = await db.collection('tasks').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), status: { $in: ['submitted', 'completed'] } },
+      { $set: gradeUpdate },
+      { returnDocument: 'before' }
+    );
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Submitted task not found' });
+    }
+
+    const task = { ...previous, ...gradeUpdate };
+    await recordAudit(req, {
+      action: 'task.grade',
+      targetType: 'task',
+      targetId: task._id,
+      label: `${task.title} - ${task.student_id}`,
+      studentIds: [task.student_id],
+      before: { grade: previous.grade, feedback: previous.feedback, status: previous.status },
+      after: { grade: task.grade, feedback: task.feedback, status: task.status }
+    });
+
+    const student = await db.collection('students').findOne({ student_id: task.student_id });
+    if (student) {
+      const emailHtml = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #1e3a8a;">Task Graded</h2>
+          <p>Dear ${escapeHtml(student.name)},</p>
+          <p>Your submission for <strong>${escapeHtml(task.title)}</strong> has been graded.</p>
+          <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
+            <p><strong>Grade:</strong> ${escapeHtml(task.grade)}</p>
+            <p><strong>Feedback:</strong> ${escapeHtml(task.feedback) || '-'}</p>
+          </div>
+          <p>View your tasks at: <a href="${req.protocol}://${req.get('host')}/student/tasks">My Tasks</a></p>
+          <p>Best regards,<br>Cloud Domain Portal Team</p>
+        </div>
+      `;
+      await sendEmail(student.email, `Task Graded: ${task.title}`, emailHtml);
+    }
+
+    res.json({ success: true, message: 'Grade saved successfully' });
+  } catch (error) {
+    console.error('❌ Error grading task:', error);
+    res.status(500).json({ error: 'Failed to save grade' });
+  }
+});
+
+// Admin download of a submitted file
+app.get('/admin/tasks/:id/file', requireAdmin, requirePermission('tasks'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).send('File not found');
+    }
+
+    const task = await db.collection('tasks').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!task || !task.submission || !task.submission.file || !fs.existsSync(task.submission.file.file_path)) {
+      return res.status(404).send('File not found');
+    }
+
+    res.download(path.resolve(task.submission.file.file_path), task.submission.file.original_name);
+  } catch (error) {
+    console.error('❌ Error downloading submission:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Delete an assignment along with every student's copy and submitted files
+app.delete('/admin/tasks/assignment/:assignmentId', requireAdmin, requirePermission('tasks'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.assignmentId)) {
+      return res.status(400).json({ error: 'Invalid assignment ID' });
+    }
+
+    const assignmentId = new ObjectId(req.params.assignmentId);
+    const tasks = await db.collection('tasks').find({ assignment_id: assignmentId }).toArray();
+
+    if (tasks.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    await db.collection('tasks').deleteMany({ assignment_id: assignmentId });
+    await recordAudit(req, {
+      action: 'task.delete',
+      targetType: 'task',
+      targetId: assignmentId,
+      label: tasks[0].title,
+      studentIds: tasks.map(task => task.student_id),
+      before: tasks
+    });
+    tasks.forEach(task => {
+      if (task.submission && task.submission.file) {
+        removeStoredFile(task.submission.file.file_path);
+      }
+    });
+
+    res.json({ success: true, message: 'Task deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting task:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+// Admin ticket queue
+app.get('/admin/tickets', requireAdmin, requirePermission('tickets'), checkDatabase, async (req, res) => {
+  try {
+    const seniors = await db.collection('seniors')
+      .find({}, { projection: { password: 0 } })
+      .sort({ name: 1 })
+      .toArray();
+
+    res.render('admin-tickets', {
+      seniors,
+      canManageSeniors: adminCan(req.session.adminRole, 'seniors')
+    });
+  } catch (error) {
+    console.error('❌ Error loading tickets page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// API to list tickets for the admin queue
+app.get('/api/admin/tickets', requireAdmin, requirePermission('tickets'), checkDatabase, async (req, res) => {
+  try {
+    const { status, priority, assigned } = req.query;
+    const query = {};
+
+    // Only known values are used, so ?status[$ne]=resolved cannot become an operator
+    if (TICKET_STATUSES.includes(status)) query.status = status;
+    if (TICKET_PRIORITIES.includes(priority)) query.priority = priority;
+    if (assigned === 'unassigned') query.assigned_to = null;
+    else if (assigned) query['assigned_to.id'] = String(assigned);
+
+    const tickets = await db.collection('tickets').find(query).sort({ created_at: -1 }).toArray();
+    res.json({ success: true, tickets });
+  } catch (error) {
+    console.error('❌ Error fetching tickets:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// Admin assign ticket to a senior
+app.post('/admin/tickets/:id/assign', requireAdmin, requirePermission('tickets'), checkDatabase, async (req, res) => {
+  const { senior_id } = req.body;
+
+  try {
+    if (!ObjectId.isValid(senior_id)) {
+      return res.status(400).json({ error: 'Invalid senior ID' });
+    }
+
+    const senior = await db.collection('seniors').findOne({ _id: new ObjectId(senior_id) });
+    if (!senior) {
+      return res.status(404).json({ error: 'Senior not found' });
+    }
+
+    const ticket = await assignTicket(req.params.id, senior);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'ticket.assign',
+      targetType: 'ticket',
+      targetId: ticket._id,
+      label: ticket.subject,
+      studentIds: [ticket.student_id],
+      after: { assigned_to: ticket.assigned_to }
+    });
+
+    await notifyTicketUpdate(ticket, `Your ticket has been assigned to ${senior.name}.`, req);
+    res.json({ success: true, message: 'Ticket assigned successfully' });
+  } catch (error) {
+    console.error('❌ Error assigning ticket:', error);
+    res.status(500).json({ error: 'Failed to assign ticket' });
+  }
+});
+
+// Admin reply to ticket
+app.post('/admin/tickets/:id/comments', requireAdmin, requirePermission('tickets'), checkDatabase, async (req, res) => {
+  const { message } = req.body;
+
+  try {
+    if (!message || !message.trim()) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const ticket = await addTicketComment(req.params.id, {
+      type: 'admin',
+      id: adminActor(req).id,
+      name: adminActor(req).name
+    }, message.trim());
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'ticket.comment',
+      targetType: 'ticket',
+      targetId: ticket._id,
+      label: ticket.subject,
+      studentIds: [ticket.student_id],
+      after: { message: message.trim() }
+    });
+    await notifyTicketUpdate(ticket, `Admin replied: ${message.trim()}`, req);
+    res.json({ success: true, message: 'Reply added' });
+  } catch (error) {
+    console.error('❌ Error replying to ticket:', error);
+    res.status(500).json({ error: 'Failed to add reply' });
+  }
+});
+
+// Admin change ticket status
+app.post('/admin/tickets/:id/status', requireAdmin, requirePermission('tickets'), checkDatabase, async (req, res) => {
+  const { status } = req.body;
+
+  try {
+    if (!TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const ticket = await setTicketStatus(req.params.id, status, adminActor(req));
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'ticket.status',
+      targetType: 'ticket',
+      targetId: ticket._id,
+      label: ticket.subject,
+      studentIds: [ticket.student_id],
+      after: { status: status }
+    });
+
+    await notifyTicketUpdate(ticket, `Status changed to ${status}.`, req);
+    res.json({ success: true, message: 'Status updated' });
+  } catch (error) {
+    console.error('❌ Error updating ticket status:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+// Senior management page
+app.get('/admin/seniors', requireAdmin, requirePermission('seniors'), checkDatabase, async (req, res) => {
+  try {
+    const now = new Date();
+    const [seniors, openSlots, upcomingSessions, recentSessions] = await Promise.all([
+      db.collection('seniors').find({}).sort({ name: 1 }).toArray(),
+      db.collection('mentoring_slots').aggregate([
+        { $match: { status: 'open', start_at: { $gt: now } } },
+        { $group: { _id: '$senior_id', count: { $sum: 1 } } }
+      ]).toArray(),
+      db.collection('mentoring_sessions').aggregate([
+        { $match: { status: 'accepted', start_at: { $gt: now } } },
+        { $group: { _id: '$senior_id', count: { $sum: 1 } } }
+      ]).toArray(),
+      db.collection('mentoring_sessions').find({}).sort({ start_at: -1 }).limit(50).toArray()
+    ]);
+
+    const countsById = (rows) => Object.fromEntries(rows.map(row => [row._id, row.count]));
+    const slotCounts = countsById(openSlots);
+    const sessionCounts = countsById(upcomingSessions);
+
+    res.render('admin-seniors', {
+      seniors: seniors.map(({ password, ...senior }) => ({
+        ...senior,
+        has_login: Boolean(password),
+        open_slots: slotCounts[senior._id.toString()] || 0,
+        upcoming_sessions: sessionCounts[senior._id.toString()] || 0
+      })),
+      recentSessions
+    });
+  } catch (error) {
+    console.error('❌ Error loading seniors:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Add a senior
+app.post('/admin/seniors', requireAdmin, requirePermission('seniors'), checkDatabase, async (req, res) => {
+  const { name, email, specialization, graduation_year, linkedin_profile, available_for_mentoring } = req.body;
+
+  try {
+    const validationError = validateSeniorInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await db.collection('seniors').findOne({ email: email.trim().toLowerCase() });
+    if (existing) {
+      return res.status(400).json({ error: 'A senior with this email already exists' });
+    }
+
+    const seniorDoc = {
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      specialization: specialization.trim(),
+      graduation_year: String(graduation_year),
+      linkedin_profile: linkedin_profile ? linkedin_profile.trim() : '',
+      available_for_mentoring: available_for_mentoring !== false && available_for_mentoring !== 'false',
+      created_by: adminActor(req).name,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    const result = await db.collection('seniors').insertOne(seniorDoc);
+    await recordAudit(req, {
+      action: 'senior.create',
+      targetType: 'senior',
+      targetId: result.insertedId,
+      label: seniorDoc.name,
+      after: seniorDoc
+    });
+
+    console.log('✅ Senior created:', seniorDoc.email);
+    res.json({ success: true, message: 'Senior added. Use the key button to send their login details.' });
+  } catch (error) {
+    console.error('❌ Error adding senior:', error);
+    res.status(500).json({ error: 'Failed to add senior' });
+  }
+});
+
+// Update a senior
+app.put('/admin/seniors/:id', requireAdmin, requirePermission('seniors'), checkDatabase, async (req, res) => {
+  const { name, email, specialization, graduation_year, linkedin_profile, available_for_mentoring } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid senior ID' });
+    }
+
+    const validationError = validateSeniorInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const seniorId = new ObjectId(req.params.id);
+    const duplicate = await db.collection('seniors').findOne({
+      email: email.trim().toLowerCase(),
+      _id: { $ne: seniorId }
+    });
+    if (duplicate) {
+      return res.status(400).json({ error: 'A senior with this email already exists' });
+    }
+
+    const updates = {
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      specialization: specialization.trim(),
+      graduation_year: String(graduation_year),
+      linkedin_profile: linkedin_profile ? linkedin_profile.trim() : '',
+      available_for_mentoring: available_for_mentoring !== false && available_for_mentoring !== 'false',
+      updated_at: new Date()
+    };
+
+    const before = await db.collection('seniors').findOneAndUpdate(
+      { _id: seniorId },
+      { $set: updates },
+      { returnDocument: 'before' }
+    );
+    if (!before) {
+      return res.status(404).json({ error: 'Senior not found' });
+    }
+
+    // Keep the copies on tickets and open sessions in step with the new name and email
+    await Promise.all([
+      db.collection('tickets').updateMany(
+        { 'assigned_to.id': req.params.id },
+        { $set: { 'assigned_to.name': updates.name } }
+      ),
+      db.collection('mentoring_sessions').updateMany(
+        { senior_id: req.params.id, status: { $in: ['requested', 'accepted'] } },
+        { $set: { senior_name: updates.name, senior_email: updates.email } }
+      )
+    ]);
+
+    await recordAudit(req, {
+      action: 'senior.update',
+      targetType: 'senior',
+      targetId: seniorId,
+      label: updates.name,
+      before: before,
+      after: updates
+    });
+
+    res.json({ success: true, message: 'Senior updated' });
+  } catch (error) {
+    console.error('❌ Error updating senior:', error);
+    res.status(500).json({ error: 'Failed to update senior' });
+  }
+});
+
+// Remove a senior: their tickets go back to the queue and upcoming sessions are declined
+app.delete('/admin/seniors/:id', requireAdmin, requirePermission('seniors'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid senior ID' });
+    }
+
+    const senior = await db.collection('seniors').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!senior) {
+      return res.status(404).json({ error: 'Senior not found' });
+    }
+
+    const seniorId = senior._id.toString();
+    const openSessions = await db.collection('mentoring_sessions').find({
+      senior_id: seniorId,
+      status: { $in: ['requested', 'accepted'] },
+      start_at: { $gt: new Date() }
+    }).toArray();
+    const responseNote = 'This senior is no longer available for mentoring.';
+
+    await Promise.all([
+      db.collection('tickets').updateMany(
+        { 'assigned_to.id': seniorId, status: { $ne: 'resolved' } },
+        { $set: { assigned_to: null, updated_at: new Date() } }
+      ),
+      db.collection('mentoring_sessions').updateMany(
+        { _id: { $in: openSessions.map(session => session._id) } },
+        { $set: { status: 'declined', response_note: responseNote, responded_at: new Date() } }
+      ),
+      db.collection('mentoring_slots').deleteMany({ senior_id: seniorId }),
+      revokeUserSessions('senior', seniorId)
+    ]);
+
+    for (const session of openSessions) {
+      await notifyMentoringSession({ ...session, status: 'declined', response_note: responseNote }, 'declined');
+    }
+
+    await recordAudit(req, {
+      action: 'senior.delete',
+      targetType: 'senior',
+      targetId: senior._id,
+      label: senior.name,
+      before: senior
+    });
+
+    console.log('✅ Senior removed:', senior.email);
+    res.json({
+      success: true,
+      message: `Senior removed. ${openSessions.length} upcoming session(s) were declined and the students notified.`
+    });
+  } catch (error) {
+    console.error('❌ Error removing senior:', error);
+    res.status(500).json({ error: 'Failed to remove senior' });
+  }
+});
+
+// Admin send login credentials to a senior
+app.post('/admin/seniors/:id/send-credentials', requireAdmin, requirePermission('seniors'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid senior ID' });
+    }
+
+    const senior = await db.collection('seniors').findOne({ _id: new ObjectId(req.params.id) });
+    if (!senior) {
+      return res.status(404).json({ error: 'Senior not found' });
+    }
+
+    const password = generateRandomPassword();
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await db.collection('seniors').updateOne(
+      { _id: senior._id },
+      { $set: { password: hashedPassword, updated_at: new Date() } }
+    );
+
+    await recordAudit(req, {
+      action: 'senior.reset_password',
+      targetType: 'senior',
+      targetId: senior._id,
+      label: senior.email
+    });
+
+    const emailSent = await sendTemplatedEmail(senior.email, 'senior_credentials', {
+      name: senior.name,
+      email: senior.email,
+      password: password,
+      login_url: `${req.protocol}://${req.get('host')}/senior-login`
+    });
+    const message = emailSent
+      ? 'Credentials sent via email'
+      : `Failed to send email. Credentials: Email: ${senior.email}, Password: ${password}`;
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error('❌ Error sending senior credentials:', error);
+    res.status(500).json({ error: 'Failed to send credentials' });
+  }
+});
+
+// Senior login page
+app.get('/senior-login', (req, res) => {
+  res.render('senior-login');
+});
+
+// Senior login POST
+app.post('/senior/login', checkDatabase, async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    const accountKey = loginAccountKey('senior', email);
+    const lock = await findLoginLock(req, accountKey);
+    if (lock) {
+      res.set('Retry-After', String(retryAfterSeconds(lock)));
+      return res.status(429).json({ error: loginLockMessage(lock) });
+    }
+
+    const senior = await db.collection('seniors').findOne({ email: email });
+
+    if (!senior || !senior.password || !await bcrypt.compare(password, senior.password)) {
+      await recordLoginFailure(req, accountKey, senior);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await clearLoginFailures(accountKey);
+
+    req.session.seniorId = senior._id.toString();
+    req.session.seniorName = senior.name;
+    req.session.seniorEmail = senior.email;
+    recordSessionDevice(req);
+
+    console.log('✅ Session created for senior:', senior.email);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Senior login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Senior logout
+app.post('/senior/logout', (req, res) => {
+  req.session.destroy();
+  res.json({ success: true });
+});
+
+// Session management pages, one per portal
+const SESSION_PORTALS = {
+  student: {
+    path: '/student/sessions',
+    guard: requireStudent,
+    userId: req => req.session.studentId,
+    userName: req => req.session.studentName,
+    backUrl: '/student/profile',
+    logoutUrl: '/student/logout'
+  },
+  senior: {
+    path: '/senior/sessions',
+    guard: requireSenior,
+    userId: req => req.session.seniorId,
+    userName: req => req.session.seniorName,
+    backUrl: '/senior/tickets',
+    logoutUrl: '/senior/logout'
+  },
+  admin: {
+    path: '/admin/sessions',
+    guard: requireAdmin,
+    userId: req => req.session.adminId,
+    userName: req => req.session.adminName,
+    backUrl: '/admin/dashboard',
+    logoutUrl: '/admin/logout'
+  }
+};
+
+Object.entries(SESSION_PORTALS).forEach(([type, portal]) => {
+  // Devices the user is signed in on
+  app.get(portal.path, portal.guard, checkDatabase, async (req, res) => {
+    try {
+      const sessions = await listUserSessions(req, type, portal.userId(req));
+      res.render('account-sessions', {
+        userName: portal.userName(req),
+        sessions,
+        basePath: portal.path,
+        backUrl: portal.backUrl,
+        logoutUrl: portal.logoutUrl
+      });
+    } catch (error) {
+      console.error('❌ Error loading sessions:', error);
+      res.status(500).send('Error loading sessions');
+    }
+  });
+
+  // Sign out one other device
+  app.delete(`${portal.path}/:id`, portal.guard, checkDatabase, async (req, res) => {
+    try {
+      if (req.params.id === hashToken(req.sessionID)) {
+        return res.status(400).json({ error: 'Use Logout to end the session you are using now' });
+      }
+
+      const revoked = await revokeUserSession(type, portal.userId(req), req.params.id);
+      if (!revoked) {
+        return res.status(404).json({ error: 'Session not found or already ended' });
+      }
+      res.json({ success: true, message: 'Session signed out' });
+    } catch (error) {
+      console.error('❌ Error revoking session:', error);
+      res.status(500).json({ error: 'Failed to sign out session' });
+    }
+  });
+
+  // Sign out every device except this one
+  app.post(`${portal.path}/revoke-others`, portal.guard, checkDatabase, async (req, res) => {
+    try {
+      const count = await revokeUserSessions(type, portal.userId(req), req.sessionID);
+      res.json({ success: true, message: `Signed out ${count} other session(s)` });
+    } catch (error) {
+      console.error('❌ Error revoking sessions:', error);
+      res.status(500).json({ error: 'Failed to sign out other sessions' });
+    }
+  });
+});
+
+// Senior ticket queue
+app.get('/senior/tickets', requireSenior, (req, res) => {
+  res.render('senior-tickets', { seniorName: req.session.seniorName });
+});
+
+// API to list tickets assigned to the senior plus unassigned open tickets
+app.get('/api/senior/tickets', requireSenior, checkDatabase, async (req, res) => {
+  try {
+    const tickets = await db.collection('tickets')
+      .find({
+        $or: [
+          { 'assigned_to.id': req.session.seniorId },
+          { assigned_to: null, status: 'open' }
+        ]
+      })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    res.json({ success: true, tickets, seniorId: req.session.seniorId });
+  } catch (error) {
+    console.error('❌ Error fetching senior tickets:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// Senior takes an unassigned ticket
+app.post('/senior/tickets/:id/claim', requireSenior, checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ticket ID' });
+    }
+
+    const ticket = await db.collection('tickets').findOne({
+      _id: new ObjectId(req.params.id),
+      assigned_to: null
+    });
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found or already assigned' });
+    }
+
+    const updated = await assignTicket(ticket._id, {
+      _id: req.session.seniorId,
+      name: req.session.seniorName
+    });
+
+    await notifyTicketUpdate(updated, `Your ticket has been picked up by ${req.session.seniorName}.`, req);
+    res.json({ success: true, message: 'Ticket assigned to you' });
+  } catch (error) {
+    console.error('❌ Error claiming ticket:', error);
+    res.status(500).json({ error: 'Failed to claim ticket' });
+  }
+});
+
+// Senior reply to an assigned ticket
+app.post('/senior/tickets/:id/comments', requireSenior, checkDatabase, async (req, res) => {
+  const { message } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ticket ID' });
+    }
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const ticket = await db.collection('tickets').findOne({
+      _id: new ObjectId(req.params.id),
+      'assigned_to.id': req.session.seniorId
+    });
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const updated = await addTicketComment(ticket._id, {
+      type: 'senior',
+      id: req.session.seniorId,
+      name: req.session.seniorName
+    }, message.trim());
+
+    await notifyTicketUpdate(updated, `${req.session.seniorName} replied: ${message.trim()}`, req);
+    res.json({ success: true, message: 'Reply added' });
+  } catch (error) {
+    console.error('❌ Error replying to ticket:', error);
+    res.status(500).json({ error: 'Failed to add reply' });
+  }
+});
+
+// Senior change status of an assigned ticket
+app.post('/senior/tickets/:id/status', requireSenior, checkDatabase, async (req, res) => {
+  const { status } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ticket ID' });
+    }
+
+    if (!TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const ticket = await db.collection('tickets').findOne({
+      _id: new ObjectId(req.params.id),
+      'assigned_to.id': req.session.seniorId
+    });
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const updated = await setTicketStatus(ticket._id, status, { name: req.session.seniorName });
+    await notifyTicketUpdate(updated, `Status changed to ${status} by ${req.session.seniorName}.`, req);
+    res.json({ success: true, message: 'Status updated' });
+  } catch (error) {
+    console.error('❌ Error updating ticket status:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+// Senior mentoring page: availability slots and session requests
+app.get('/senior/mentoring', requireSenior, checkDatabase, async (req, res) => {
+  try {
+    const [senior, slots, sessions] = await Promise.all([
+      db.collection('seniors').findOne({ _id: new ObjectId(req.session.seniorId) }, { projection: { password: 0 } }),
+      db.collection('mentoring_slots')
+        .find({ senior_id: req.session.seniorId, start_at: { $gt: new Date() } })
+        .sort({ start_at: 1 })
+        .toArray(),
+      db.collection('mentoring_sessions')
+        .find({ senior_id: req.session.seniorId })
+        .sort({ start_at: -1 })
+        .toArray()
+    ]);
+
+    if (!senior) {
+      req.session.destroy();
+      return res.redirect('/senior-login');
+    }
+
+    res.render('senior-mentoring', {
+      seniorName: req.session.seniorName,
+      available: senior.available_for_mentoring !== false,
+      slots,
+      sessions,
+      durations: MENTORING_DURATIONS
+    });
+  } catch (error) {
+    console.error('❌ Error loading mentoring page:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Senior turns mentoring availability on or off
+app.post('/senior/availability', requireSenior, checkDatabase, async (req, res) => {
+  try {
+    const available = Boolean(req.body.available);
+    await db.collection('seniors').updateOne(
+      { _id: new ObjectId(req.session.seniorId) },
+      { $set: { available_for_mentoring: available, updated_at: new Date() } }
+    );
+    res.json({ success: true, message: available ? 'Students can now book your open slots' : 'You are hidden from students' });
+  } catch (error) {
+    console.error('❌ Error updating availability:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// Senior adds an availability slot
+app.post('/senior/slots', requireSenior, checkDatabase, async (req, res) => {
+  try {
+    const startAt = new Date(req.body.start_at);
+    const duration = parseInt(req.body.duration_minutes, 10);
+
+    if (isNaN(startAt.getTime()) || startAt <= new Date()) {
+      return res.status(400).json({ error: 'Choose a start time in the future' });
+    }
+    if (!MENTORING_DURATIONS.includes(duration)) {
+      return res.status(400).json({ error: 'Invalid duration' });
+    }
+
+    const endAt = new Date(startAt.getTime() + duration * 60 * 1000);
+    const overlapping = await db.collection('mentoring_slots').findOne({
+      senior_id: req.session.seniorId,
+      start_at: { $lt: endAt },
+      end_at: { $gt: startAt }
+    });
+    if (overlapping) {
+      return res.status(400).json({ error: 'This overlaps with one of your existing slots' });
+    }
+
+    await db.collection('mentoring_slots').insertOne({
+      senior_id: req.session.seniorId,
+      start_at: startAt,
+      end_at: endAt,
+      duration_minutes: duration,
+      status: 'open',
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    res.json({ success: true, message: 'Slot added' });
+  } catch (error) {
+    console.error('❌ Error adding slot:', error);
+    res.status(500).json({ error: 'Failed to add slot' });
+  }
+});
+
+// Senior removes an open slot
+app.delete('/senior/slots/:id', requireSenior, checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid slot ID' });
+    }
+
+    const result = await db.collection('mentoring_slots').deleteOne({
+      _id: new ObjectId(req.params.id),
+      senior_id: req.session.seniorId,
+      status: 'open'
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(400).json({ error: 'Only open slots can be removed. Respond to the request first.' });
+    }
+
+    res.json({ success: true, message: 'Slot removed' });
+  } catch (error) {
+    console.error('❌ Error removing slot:', error);
+    res.status(500).json({ error: 'Failed to remove slot' });
+  }
+});
+
+// Senior accepts or declines a session request
+app.post('/senior/mentoring/:id/respond', requireSenior, checkDatabase, async (req, res) => {
+  const { decision, note } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(400).json({ error: 'Invalid decision' });
+    }
+
+    const status = decision === 'accept' ? 'accepted' : 'declined';
+    const session = await db.collection('mentoring_sessions').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), senior_id: req.session.seniorId, status: 'requested' },
+      { $set: { status: status, response_note: (note || '').trim(), responded_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!session) {
+      return res.status(404).json({ error: 'Request not found or already answered' });
+    }
+
+    if (status === 'accepted') {
+      await db.collection('mentoring_slots').updateOne(
+        { _id: session.slot_id },
+        { $set: { status: 'booked', updated_at: new Date() } }
+      );
+    } else {
+      await releaseMentoringSlot(session);
+    }
+
+    await notifyMentoringSession(session, status);
+    res.json({ success: true, message: status === 'accepted' ? 'Session accepted' : 'Session declined' });
+  } catch (error) {
+    console.error('❌ Error responding to session request:', error);
+    res.status(500).json({ error: 'Failed to respond to request' });
+  }
+});
+
+// Save attendance
+app.post('/admin/attendance/save', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const { error } = await saveAttendanceSession(req.body, req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ success: true, message: 'Attendance saved successfully' });
+  } catch (error) {
+    console.error('❌ Error saving attendance:', error);
+    res.status(500).json({ error: 'Failed to save attendance' });
+  }
+});
+
+// Attendance history, one row per class
+app.get('/admin/attendance/history', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const filters = {
+      from: req.query.from || '',
+      to: req.query.to || '',
+      batch: req.query.batch || '',
+      subject: req.query.subject || ''
+    };
+    const [sessions, batches, subjects, pendingDisputes] = await Promise.all([
+      listAttendanceSessions(filters),
+      db.collection('attendance').distinct('batch'),
+      db.collection('attendance').distinct('subject'),
+      db.collection('attendance_disputes').countDocuments({ status: 'pending' })
+    ]);
+
+    res.render('admin-attendance-history', {
+      sessions,
+      filters,
+      batches: batches.sort(),
+      subjects: subjects.sort(),
+      pendingDisputes,
+      formatDate: formatAttendanceDate
+    });
+  } catch (error) {
+    console.error('❌ Error loading attendance history:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// One past class with its records, corrections and disputes
+app.get('/admin/attendance/history/session', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const { date, subject, batch } = req.query;
+    if (!date || !subject || !batch || isNaN(new Date(date).getTime())) {
+      return res.status(400).send('Date, subject and batch are required');
+    }
+
+    const records = await db.collection('attendance')
+      .find({ date: new Date(date), subject: subject, batch: batch })
+      .sort({ student_id: 1 })
+      .toArray();
+    if (records.length === 0) {
+      return res.status(404).send('No attendance was recorded for this class');
+    }
+
+    const recordIds = records.map(record => record._id);
+    const [students, corrections, disputes] = await Promise.all([
+      db.collection('students')
+        .find({ student_id: { $in: records.map(record => record.student_id) } })
+        .project({ student_id: 1, name: 1 })
+        .toArray(),
+      db.collection('attendance_corrections').find({ record_id: { $in: recordIds } }).sort({ created_at: -1 }).toArray(),
+      db.collection('attendance_disputes').find({ record_id: { $in: recordIds } }).sort({ created_at: -1 }).toArray()
+    ]);
+    const namesById = new Map(students.map(student => [student.student_id, student.name]));
+
+    res.render('admin-attendance-session', {
+      session: { date: formatAttendanceDate(records[0].date), subject, batch, time: records[0].time, marked_by: records[0].marked_by },
+      records: records.map(record => ({ ...record, name: namesById.get(record.student_id) || '' })),
+      corrections,
+      disputes,
+      statuses: ATTENDANCE_STATUSES
+    });
+  } catch (error) {
+    console.error('❌ Error loading attendance session:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Correct the status of a single attendance record
+app.put('/admin/attendance/records/:id', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid record ID' });
+    }
+
+    const record = await db.collection('attendance').findOne({ _id: new ObjectId(req.params.id) });
+    if (!record) {
+      return res.status(404).json({ error: 'Attendance record not found' });
+    }
+
+    const { error } = await correctAttendanceRecord(record, {
+      status: req.body.status,
+      reason: String(req.body.reason || '').trim()
+    }, req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ success: true, message: 'Attendance corrected' });
+  } catch (error) {
+    console.error('❌ Error correcting attendance:', error);
+    res.status(500).json({ error: 'Failed to correct attendance' });
+  }
+});
+
+// Attendance disputes raised by students
+app.get('/admin/attendance/disputes', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const status = ATTENDANCE_DISPUTE_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    const [disputes, statusCounts] = await Promise.all([
+      db.collection('attendance_disputes')
+        .find({ status: status })
+        .sort({ created_at: status === 'pending' ? 1 : -1 })
+        .limit(200)
+        .toArray(),
+      db.collection('attendance_disputes').aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]).toArray()
+    ]);
+
+    res.render('admin-attendance-disputes', {
+      disputes,
+      status,
+      statuses: ATTENDANCE_DISPUTE_STATUSES,
+      counts: Object.fromEntries(statusCounts.map(group => [group._id, group.count])),
+      formatDate: formatAttendanceDate
+    });
+  } catch (error) {
+    console.error('❌ Error loading attendance disputes:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Approve or reject a dispute; approving corrects the record to the requested status
+app.post('/admin/attendance/disputes/:id/resolve', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const note = String(req.body.note || '').trim();
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: 'Decision must be approve or reject' });
+    }
+    if (decision === 'reject' && !note) {
+      return res.status(400).json({ error: 'Please give the student a reason for rejecting' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid dispute ID' });
+    }
+
+    const dispute = await db.collection('attendance_disputes').findOne({ _id: new ObjectId(req.params.id) });
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    if (dispute.status !== 'pending') {
+      return res.status(400).json({ error: 'This dispute has already been resolved' });
+    }
+
+    const record = await db.collection('attendance').findOne({ _id: dispute.record_id });
+    if (decision === 'approve') {
+      if (!record) {
+        return res.status(400).json({ error: 'The attendance record no longer exists; reject the dispute instead' });
+      }
+      // The record may already have been corrected by hand while the dispute was open
+      if (record.status !== dispute.requested_status) {
+        const { error } = await correctAttendanceRecord(record, {
+          status: dispute.requested_status,
+          reason: note ? `Dispute approved: ${note}` : `Dispute approved: ${dispute.reason}`,
+          disputeId: dispute._id
+        }, req);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+      }
+    }
+
+    const actor = adminActor(req);
+    const resolved = await db.collection('attendance_disputes').findOneAndUpdate(
+      { _id: dispute._id, status: 'pending' },
+      {
+        $set: {
+          status: decision === 'approve' ? 'approved' : 'rejected',
+          resolution_note: note,
+          resolved_by: { id: actor.id, name: actor.name },
+          resolved_at: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!resolved) {
+      return res.status(409).json({ error: 'This dispute was resolved by someone else' });
+    }
+
+    await recordAudit(req, {
+      action: decision === 'approve' ? 'attendance.dispute_approve' : 'attendance.dispute_reject',
+      targetType: 'attendance_dispute',
+      targetId: dispute._id,
+      label: `${dispute.student_id}: ${dispute.subject} on ${formatAttendanceDate(dispute.date)}`,
+      studentIds: [dispute.student_id],
+      before: { status: dispute.current_status },
+      after: { requested_status: dispute.requested_status, decision: resolved.status, note: note }
+    });
+    notifyDisputeDecision(resolved).catch(error => {
+      console.error('❌ Error sending dispute decision:', error);
+    });
+
+    res.json({ success: true, message: decision === 'approve' ? 'Dispute approved and attendance corrected' : 'Dispute rejected' });
+  } catch (error) {
+    console.error('❌ Error resolving attendance dispute:', error);
+    res.status(500).json({ error: 'Failed to resolve dispute' });
+  }
+});
+
+// Timetable: subjects, weekly slots and holidays
+app.get('/admin/timetable', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    const [subjects, slots, holidays, placement, unmarked] = await Promise.all([
+      db.collection('subjects').find({}).sort({ active: -1, name: 1 }).toArray(),
+      db.collection('timetable_slots').find({}).sort({ weekday: 1, start_time: 1, batch: 1 }).toArray(),
+      db.collection('holidays')
+        .find({ date: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } })
+        .sort({ date: 1 })
+        .toArray(),
+      loadPlacementOptions(),
+      findUnmarkedSessions()
+    ]);
+
+    res.render('admin-timetable', {
+      subjects,
+      slots,
+      holidays,
+      batches: placement.batches,
+      unmarked,
+      weekdays: WEEKDAYS,
+      lookbackDays: UNMARKED_LOOKBACK_DAYS,
+      today: scheduleDay(new Date()),
+      formatDate: formatAttendanceDate
+    });
+  } catch (error) {
+    console.error('❌ Error loading timetable:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Add a subject
+app.post('/admin/timetable/subjects', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const code = String(req.body.code || '').trim().toUpperCase();
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Subject name is required (100 characters at most)' });
+    }
+
+    const subject = { name, code, active: true, created_at: new Date(), updated_at: new Date() };
+    const { insertedId } = await db.collection('subjects').insertOne(subject);
+    await recordAudit(req, {
+      action: 'timetable.subject_create',
+      targetType: 'subject',
+      targetId: insertedId,
+      label: name,
+      after: { name, code }
+    });
+
+    res.json({ success: true, message: 'Subject added' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A subject with that name already exists' });
+    }
+    console.error('❌ Error adding subject:', error);
+    res.status(500).json({ error: 'Failed to add subject' });
+  }
+});
+
+// Rename, recode or retire a subject; a rename carries over to its timetable slots
+app.put('/admin/timetable/subjects/:id', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const code = String(req.body.code || '').trim().toUpperCase();
+    const active = req.body.active !== false && req.body.active !== 'false';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Subject name is required (100 characters at most)' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid subject ID' });
+    }
+
+    const previous = await db.collection('subjects').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { name, code, active, updated_at: new Date() } }
+    );
+    if (!previous) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+    if (previous.name !== name) {
+      await renameSubjectEverywhere(previous.name, name);
+    }
+
+    await recordAudit(req, {
+      action: 'timetable.subject_update',
+      targetType: 'subject',
+      targetId: previous._id,
+      label: name,
+      before: { name: previous.name, code: previous.code, active: previous.active },
+      after: { name, code, active }
+    });
+    res.json({ success: true, message: 'Subject updated' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A subject with that name already exists' });
+    }
+    console.error('❌ Error updating subject:', error);
+    res.status(500).json({ error: 'Failed to update subject' });
+  }
+});
+
+// Delete a subject that has never been scheduled or taught
+app.delete('/admin/timetable/subjects/:id', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid subject ID' });
+    }
+
+    const subject = await db.collection('subjects').findOne({ _id: new ObjectId(req.params.id) });
+    if (!subject) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+    const [slotCount, attendanceCount] = await Promise.all([
+      db.collection('timetable_slots').countDocuments({ subject: subject.name }),
+      db.collection('attendance').countDocuments({ subject: subject.name }, { limit: 1 })
+    ]);
+    if (slotCount > 0 || attendanceCount > 0) {
+      return res.status(400).json({ error: 'This subject is in the timetable or has attendance. Mark it inactive instead.' });
+    }
+
+    await db.collection('subjects').deleteOne({ _id: subject._id });
+    await recordAudit(req, {
+      action: 'timetable.subject_delete',
+      targetType: 'subject',
+      targetId: subject._id,
+      label: subject.name,
+      before: { name: subject.name, code: subject.code }
+    });
+    res.json({ success: true, message: 'Subject deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting subject:', error);
+    res.status(500).json({ error: 'Failed to delete subject' });
+  }
+});
+
+// Add a weekly timetable slot
+app.post('/admin/timetable/slots', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    const slot = parseTimetableSlotInput(req.body);
+    const validationError = validateTimetableSlot(slot);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!await db.collection('subjects').findOne({ name: slot.subject, active: true })) {
+      return res.status(400).json({ error: 'Choose an active subject' });
+    }
+    if (!await db.collection('batches').findOne({ code: slot.batch, active: true })) {
+      return res.status(400).json({ error: 'Choose an active batch' });
+    }
+
+    const { insertedId } = await db.collection('timetable_slots').insertOne({
+      ...slot,
+      created_by: adminActor(req).name,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    await recordAudit(req, {
+      action: 'timetable.slot_create',
+      targetType: 'timetable_slot',
+      targetId: insertedId,
+      label: `${slot.subject} (${slot.batch}) ${WEEKDAYS[slot.weekday]} ${slot.start_time}`,
+      after: slot
+    });
+
+    res.json({ success: true, message: 'Slot added' });
+  } catch (error) {
+    console.error('❌ Error adding timetable slot:', error);
+    res.status(500).json({ error: 'Failed to add slot' });
+  }
+});
+
+// Edit a weekly timetable slot
+app.put('/admin/timetable/slots/:id', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid slot ID' });
+    }
+    const slot = parseTimetableSlotInput(req.body);
+    const validationError = validateTimetableSlot(slot);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const previous = await db.collection('timetable_slots').findOne({ _id: new ObjectId(req.params.id) });
+    if (!previous) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+    // A slot can keep a subject that has since been retired, but not move onto one
+    if (slot.subject !== previous.subject && !await db.collection('subjects').findOne({ name: slot.subject, active: true })) {
+      return res.status(400).json({ error: 'Choose an active subject' });
+    }
+    if (slot.batch !== previous.batch && !await db.collection('batches').findOne({ code: slot.batch, active: true })) {
+      return res.status(400).json({ error: 'Choose an active batch' });
+    }
+
+    await db.collection('timetable_slots').updateOne(
+      { _id: previous._id },
+      { $set: { ...slot, updated_at: new Date() } }
+    );
+
+    await recordAudit(req, {
+      action: 'timetable.slot_update',
+      targetType: 'timetable_slot',
+      targetId: previous._id,
+      label: `${slot.subject} (${slot.batch}) ${WEEKDAYS[slot.weekday]} ${slot.start_time}`,
+      before: previous,
+      after: slot
+    });
+    res.json({ success: true, message: 'Slot updated' });
+  } catch (error) {
+    console.error('❌ Error updating timetable slot:', error);
+    res.status(500).json({ error: 'Failed to update slot' });
+  }
+});
+
+// Remove a weekly timetable slot; attendance already taken is kept
+app.delete('/admin/timetable/slots/:id', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid slot ID' });
+    }
+
+    const slot = await db.collection('timetable_slots').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!slot) {
+      return res.status(404).json({ error: 'Slot not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'timetable.slot_delete',
+      targetType: 'timetable_slot',
+      targetId: slot._id,
+      label: `${slot.subject} (${slot.batch}) ${WEEKDAYS[slot.weekday]} ${slot.start_time}`,
+      before: slot
+    });
+    res.json({ success: true, message: 'Slot removed' });
+  } catch (error) {
+    console.error('❌ Error deleting timetable slot:', error);
+    res.status(500).json({ error: 'Failed to remove slot' });
+  }
+});
+
+// Add a holiday for everyone or for some batches
+app.post('/admin/timetable/holidays', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
+  try {
+    const date = req.body.date ? scheduleDay(req.body.date) : null;
+    const name = String(req.body.name || '').trim();
+    const batches = [].concat(req.body.batches || []).map(batch => String(batch).trim()).filter(Boolean);
+    if (!date || !name) {
+      return res.status(400).json({ error: 'Date and name are required' });
+    }
+    const known = await db.collection('batches').find({ code: { $in: batches } }).project({ code: 1 }).toArray();
+    const unknown = batches.filter(batch => !known.some(item => item.code === batch));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown batch "${unknown[0]}"` });
+    }
+
+    const { insertedId } = await db.collection('holidays').insertOne({
+      date,
+      name,
+      batches,
+      created_by: adminActor(req).name,
+      created_at: new Date()
+    });
+    await recordAudit(req, {
+      action: 'timetable.holiday_create',
+      targetType: 'holiday',
+      targetId: insertedId,
+      label: `${name} on ${formatAttendanceDate(date)}`,
+      after: { date, name, batches }
+    });
+
+    res.json({ success: true, message: 'Holiday added' });
   } catch (error) {
-    console.error('❌ Admin login error:', error);
-    res.status(500).json({ error: 'Server error' });
+    console.error('❌ Error adding holiday:', error);
+    res.status(500).json({ error: 'Failed to add holiday' });
   }
 });
 
-// Admin OTP verification
-app.post('/admin/verify-otp', checkDatabase, async (req, res) => {
-  const { otp } = req.body;
-  const email = req.session.pendingAdminEmail;
-  
+// Remove a holiday
+app.delete('/admin/timetable/holidays/:id', requireAdmin, requirePermission('timetable'), checkDatabase, async (req, res) => {
   try {
-    if (!email) {
-      return res.status(400).json({ error: 'No pending login session' });
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid holiday ID' });
     }
 
-    const otpRecord = await db.collection('admin_otps').findOne({
-      email: email,
-      otp: otp,
-      expires_at: { $gt: new Date() }
-    });
-
-    if (otpRecord) {
-      // OTP is valid
-      await db.collection('admin_otps').deleteMany({ email: email }); // Clean up OTPs
-      req.session.isAdmin = true;
-      req.session.adminEmail = email;
-      delete req.session.pendingAdminEmail;
-      res.json({ success: true });
-    } else {
-      res.status(401).json({ error: 'Invalid or expired OTP' });
+    const holiday = await db.collection('holidays').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
     }
+
+    await recordAudit(req, {
+      action: 'timetable.holiday_delete',
+      targetType: 'holiday',
+      targetId: holiday._id,
+      label: `${holiday.name} on ${formatAttendanceDate(holiday.date)}`,
+      before: holiday
+    });
+    res.json({ success: true, message: 'Holiday removed' });
   } catch (error) {
-    console.error('❌ OTP verification error:', error);
-    res.status(500).json({ error: 'Server error' });
+    console.error('❌ Error deleting holiday:', error);
+    res.status(500).json({ error: 'Failed to remove holiday' });
   }
 });
 
-// Admin dashboard
-app.get('/admin/dashboard', requireAdmin, (req, res) => {
-  res.render('admin-dashboard');
-});
+// Classes scheduled on a day, for picking one on the attendance page
+app.get('/api/admin/timetable/day', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const date = scheduleDay(req.query.date || new Date());
+    if (!date) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
 
-// Admin logout
-app.post('/admin/logout', (req, res) => {
-  req.session.destroy();
-  res.json({ success: true });
+    const { sessions, holidays } = await loadScheduledSessions(date);
+    res.json({
+      success: true,
+      date: formatAttendanceDate(date),
+      weekday: WEEKDAYS[date.getUTCDay()],
+      sessions: sessions.map(session => ({
+        id: session._id,
+        subject: session.subject,
+        batch: session.batch,
+        start_time: session.start_time,
+        end_time: session.end_time,
+        room: session.room,
+        marked: session.marked
+      })),
+      holidays: holidays.map(holiday => ({ name: holiday.name, batches: holiday.batches }))
+    });
+  } catch (error) {
+    console.error('❌ Error loading day schedule:', error);
+    res.status(500).json({ error: 'Failed to load schedule' });
+  }
 });
 
-// Student management routes
-app.get('/admin/students', requireAdmin, checkDatabase, async (req, res) => {
+// Attendance reports page
+app.get('/admin/attendance/reports', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
   try {
-    const students = await db.collection('students').find({}).sort({ created_at: -1 }).toArray();
-    res.render('admin-students', { students });
+    const [batches, subjects, settings] = await Promise.all([
+      db.collection('attendance').distinct('batch'),
+      db.collection('attendance').distinct('subject'),
+      getAttendanceAlertSettings()
+    ]);
+
+    res.render('admin-attendance-reports', {
+      batches: batches.sort(),
+      subjects: subjects.sort(),
+      defaultThreshold: settings.threshold
+    });
   } catch (error) {
-    console.error('❌ Error fetching students:', error);
+    console.error('❌ Error loading attendance reports page:', error);
     res.status(500).send('Server error');
   }
 });
 
-// Add student
-app.post('/admin/students', requireAdmin, checkDatabase, async (req, res) => {
-  const { roll_num, name, department, email, batch_year } = req.body;
-  
+// Attendance percentage report
+app.get('/api/admin/attendance/report', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
   try {
-    // Validate input
-    if (!roll_num || !name || !department || !email || !batch_year) {
-      return res.status(400).json({ error: 'All fields are required' });
+    const filters = parseAttendanceReportQuery(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
     }
+    const rows = await buildAttendanceReport(filters);
+
+    res.json({
+      success: true,
+      filters,
+      rows,
+      flagged: rows.filter(row => row.below_threshold).length
+    });
+  } catch (error) {
+    console.error('❌ Error building attendance report:', error);
+    res.status(500).json({ error: 'Failed to build attendance report' });
+  }
+});
 
-    if (!email.endsWith('@gmail.com')) {
-      return res.status(400).json({ error: 'Email must be a Gmail address' });
+// Attendance percentage report as CSV
+app.get('/admin/attendance/report.csv', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const filters = parseAttendanceReportQuery(req.query);
+    if (filters.error) {
+      return res.status(400).send(filters.error);
     }
+    const rows = await buildAttendanceReport(filters);
 
-    // Generate random password
-    const password = generateRandomPassword();
+    const columns = filters.groupBy === 'student'
+      ? ['student_id', 'name', 'department', 'batch_year', 'total', 'present', 'late', 'absent', 'percentage', 'below_threshold']
+      : [filters.groupBy, 'total', 'present', 'late', 'absent', 'percentage', 'below_threshold'];
+    const csvRows = rows.map(row => ({ ...row, [columns[0]]: row.key }));
+    const csv = toCsv(columns, csvRows);
 
-    // Check if student already exists
-    const existingStudent = await db.collection('students').findOne({
-      $or: [{ student_id: roll_num }, { email: email }]
-    });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="attendance-by-${filters.groupBy}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('❌ Error exporting attendance report:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    if (existingStudent) {
-      return res.status(400).json({ error: 'Student with this roll number or email already exists' });
+// Attendance statement for one student as PDF
+app.get('/admin/attendance/statement/:studentId.pdf', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const period = parseStatementPeriod(req.query);
+    if (period.error) {
+      return res.status(400).send(period.error);
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-    
-    // Create student document
-    const studentDoc = {
-      student_id: roll_num,
-      name: name,
-      email: email,
-      password: hashedPassword,
-      department: department,
-      batch_year: batch_year,
-      phone: '',
-      course: 'Cloud Computing',
-      year: '1st Year',
-      profile_image: '',
-      created_at: new Date(),
-      updated_at: new Date()
-    };
-    
-    const result = await db.collection('students').insertOne(studentDoc);
-    console.log('✅ Student created:', roll_num);
+    const statement = await buildAttendanceStatement(req.params.studentId, period);
+    if (!statement) {
+      return res.status(404).send('Student not found');
+    }
+    await sendAttendanceStatementPdf(res, statement, documentIssuer(req, 'admin'));
+  } catch (error) {
+    console.error('❌ Error generating attendance statement:', error);
+    res.status(500).send('Server error');
+  }
+});
 
-    // Send credentials via email
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #1e3a8a;">Welcome to Cloud Domain Portal</h2>
-        <p>Dear ${name},</p>
-        <p>Your student account has been created successfully. Here are your login credentials:</p>
-        <div style="background: #f0f8ff; padding: 20px; border-radius: 10px; margin: 20px 0;">
-          <p><strong>Student ID:</strong> ${roll_num}</p>
-          <p><strong>Password:</strong> ${password}</p>
-          <p><strong>Batch Year:</strong> ${batch_year}</p>
-          <p><strong>Department:</strong> ${department}</p>
-        </div>
-        <p>You can login to the student portal at: <a href="${req.protocol}://${req.get('host')}/student-login">Student Login</a></p>
-        <p>Please keep these credentials secure and change your password after first login.</p>
-        <p>Best regards,<br>Cloud Domain Portal Team</p>
-      </div>
-    `;
+// Monthly attendance register for a batch as PDF
+app.get('/admin/attendance/register.pdf', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const { batch, month, subject } = req.query;
+    if (!batch || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+      return res.status(400).send('Choose a batch and a month');
+    }
 
-    const emailSent = await sendEmail(email, 'Your Cloud Domain Portal Account Credentials', emailHtml);
-    
-    if (emailSent || !transporter) {
-      const message = emailSent 
-        ? 'Student added successfully and credentials sent via email' 
-        : `Student added successfully. Credentials: ID: ${roll_num}, Password: ${password}`;
-      res.json({ success: true, message });
-    } else {
-      res.json({ 
-        success: true, 
-        message: `Student added successfully but failed to send email. Credentials: ID: ${roll_num}, Password: ${password}` 
-      });
+    const register = await buildAttendanceRegister({ batch, month, subject: subject || null });
+    if (register.rows.length === 0) {
+      return res.status(404).send('No students or attendance for this batch');
     }
+    await sendAttendanceRegisterPdf(res, register, documentIssuer(req, 'admin'));
   } catch (error) {
-    console.error('❌ Error adding student:', error);
-    res.status(500).json({ error: 'Failed to add student' });
+    console.error('❌ Error generating attendance register:', error);
+    res.status(500).send('Server error');
   }
 });
 
-// Delete single student
-app.delete('/admin/students/:id', requireAdmin, checkDatabase, async (req, res) => {
-  const studentId = req.params.id;
-  
+// Attendance alert settings and send history page
+app.get('/admin/attendance/alerts', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
   try {
-    const result = await db.collection('students').deleteOne({ _id: new ObjectId(studentId) });
-    
-    if (result.deletedCount === 1) {
-      res.json({ success: true, message: 'Student deleted successfully' });
-    } else {
-      res.status(404).json({ error: 'Student not found' });
-    }
+    const [settings, history] = await Promise.all([
+      getAttendanceAlertSettings(),
+      db.collection('notification_log').find({}).sort({ created_at: -1 }).limit(100).toArray()
+    ]);
+
+    res.render('admin-attendance-alerts', {
+      settings,
+      history,
+      adminEmail: process.env.ADMIN_EMAIL || ''
+    });
   } catch (error) {
-    console.error('❌ Error deleting student:', error);
-    res.status(500).json({ error: 'Failed to delete student' });
+    console.error('❌ Error loading attendance alerts page:', error);
+    res.status(500).send('Server error');
   }
 });
 
-// Bulk delete students
-app.post('/admin/students/bulk-delete', requireAdmin, checkDatabase, async (req, res) => {
-  const { studentIds } = req.body;
-  
+// Update attendance alert settings
+app.post('/admin/attendance/alerts/settings', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
   try {
-    if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
-      return res.status(400).json({ error: 'No student IDs provided' });
+    const { absence_mode, threshold, notify_admin, digest_hour } = req.body;
+    const thresholdValue = parseFloat(threshold);
+    const digestHour = parseInt(digest_hour, 10);
+
+    if (!ABSENCE_ALERT_MODES.includes(absence_mode)) {
+      return res.status(400).json({ error: 'Invalid absence alert mode' });
     }
-    
-    const objectIds = studentIds.map(id => new ObjectId(id));
-    const result = await db.collection('students').deleteMany({ _id: { $in: objectIds } });
-    
-    res.json({ 
-      success: true, 
-      message: `${result.deletedCount} students deleted successfully` 
+    if (isNaN(thresholdValue) || thresholdValue < 0 || thresholdValue > 100) {
+      return res.status(400).json({ error: 'Threshold must be between 0 and 100' });
+    }
+    if (isNaN(digestHour) || digestHour < 0 || digestHour > 23) {
+      return res.status(400).json({ error: 'Digest hour must be between 0 and 23' });
+    }
+
+    const previousSettings = await getAttendanceAlertSettings();
+    const newSettings = {
+      absence_mode: absence_mode,
+      threshold: thresholdValue,
+      notify_admin: notify_admin === true || notify_admin === 'true',
+      digest_hour: digestHour,
+      updated_at: new Date()
+    };
+    await db.collection('settings').updateOne(
+      { _id: 'attendance_alerts' },
+      { $set: newSettings },
+      { upsert: true }
+    );
+    await recordAudit(req, {
+      action: 'settings.attendance_alerts',
+      targetType: 'settings',
+      targetId: 'attendance_alerts',
+      label: 'Attendance alert settings',
+      before: previousSettings,
+      after: { ...previousSettings, ...newSettings }
     });
+
+    res.json({ success: true, message: 'Alert settings saved' });
   } catch (error) {
-    console.error('❌ Error bulk deleting students:', error);
-    res.status(500).json({ error: 'Failed to delete students' });
+    console.error('❌ Error saving alert settings:', error);
+    res.status(500).json({ error: 'Failed to save alert settings' });
   }
 });
 
-// Student login page
-app.get('/student-login', (req, res) => {
-  res.render('student-login');
+// Send the absence digest now instead of waiting for the scheduled run
+app.post('/admin/attendance/alerts/digest', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
+  try {
+    const sentCount = await sendAbsenceDigests();
+    await recordAudit(req, {
+      action: 'attendance.send_digest',
+      targetType: 'settings',
+      targetId: 'attendance_alerts',
+      label: `Digest sent to ${sentCount} students`
+    });
+    res.json({ success: true, message: `Digest sent to ${sentCount} students` });
+  } catch (error) {
+    console.error('❌ Error sending absence digest:', error);
+    res.status(500).json({ error: 'Failed to send digest' });
+  }
 });
 
-// Student login POST
-app.post('/student/login', checkDatabase, async (req, res) => {
-  const { student_id, password } = req.body;
-  
+// Get students by batch for attendance
+app.get('/api/admin/students-by-batch', requireAdmin, requirePermission('attendance'), checkDatabase, async (req, res) => {
   try {
-    console.log('🔍 Student login attempt:', student_id);
-    
-    const student = await db.collection('students').findOne({ student_id: student_id });
+    const { batch } = req.query;
     
-    if (!student) {
-      console.log('❌ Student not found:', student_id);
-      return res.status(401).json({ error: 'Invalid student ID or password' });
+    if (!batch) {
+      return res.status(400).json({ error: 'Batch parameter is required' });
     }
     
-    console.log('✅ Student found:', student.name);
+    // "24-28" and "2024 - 2028" find the same students as the stored "2024-2028"
+    const batchDoc = await resolveBatch(batch);
+    const students = await db.collection('students')
+      .find({ batch_year: batchDoc ? batchDoc.code : String(batch), ...ACTIVE_STUDENT_FILTER })
+      .sort({ student_id: 1 })
+      .toArray();
     
-    const isValidPassword = await bcrypt.compare(password, student.password);
+    res.json(students);
+  } catch (error) {
+    console.error('❌ Error fetching students by batch:', error);
+    res.status(500).json({ error: 'Failed to fetch students' });
+  }
+});
+
+// Upload attendance PDF
+app.post('/admin/attendance/upload-pdf', requireAdmin, requirePermission('attendance'), checkDatabase, upload.single('attendancePdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
     
-    if (!isValidPassword) {
-      console.log('❌ Invalid password for student:', student_id);
-      return res.status(401).json({ error: 'Invalid student ID or password' });
+    const { date, subject, batch } = req.body;
+
+    if (!date || !subject || !batch) {
+      removeStoredFile(req.file.path);
+      return res.status(400).json({ error: 'Select the date, subject and batch before uploading' });
+    }
+    if (isNaN(new Date(date).getTime())) {
+      removeStoredFile(req.file.path);
+      return res.status(400).json({ error: 'Invalid date' });
     }
     
-    console.log('✅ Password valid for student:', student_id);
+    // Store PDF information in database
+    const pdfDoc = {
+      filename: req.file.filename,
+      original_name: req.file.originalname,
+      file_path: req.file.path,
+      date: new Date(date),
+      subject: subject,
+      batch: batch,
+      uploaded_by: adminActor(req).name,
+      uploaded_by_id: adminActor(req).id,
+      file_size: req.file.size,
+      created_at: new Date()
+    };
     
-    req.session.studentId = student.student_id;
-    req.session.studentName = student.name;
-    req.session.studentEmail = student.email;
+    // Read the sheet so the marking grid can be pre-filled; a sheet that can't be read is still kept
+    let parsed = null;
+    try {
+      const pdfData = await pdfParse(fs.readFileSync(req.file.path));
+      const students = await db.collection('students')
+        .find({ batch_year: batch, ...ACTIVE_STUDENT_FILTER }, { projection: { student_id: 1 } })
+        .toArray();
+      parsed = parseAttendanceSheet(pdfData.text, students);
+      pdfDoc.parsed_count = Object.keys(parsed.statuses).length;
+    } catch (error) {
+      console.error('❌ Error reading attendance PDF:', error);
+    }
+
+    await db.collection('attendance_pdfs').insertOne(pdfDoc);
+    await recordAudit(req, {
+      action: 'attendance.upload_pdf',
+      targetType: 'attendance_pdf',
+      targetId: pdfDoc._id,
+      label: `${subject} on ${date} (${batch})`,
+      after: pdfDoc
+    });
+    console.log('✅ Attendance PDF uploaded:', req.file.filename);
     
-    console.log('✅ Session created for student:', student_id);
-    res.json({ success: true });
+    res.json({
+      success: true,
+      message: parsed
+        ? `PDF uploaded. Found ${Object.keys(parsed.statuses).length} students on the sheet.`
+        : 'PDF uploaded, but its text could not be read. Please mark attendance manually.',
+      parsed
+    });
   } catch (error) {
-    console.error('❌ Student login error:', error);
-    res.status(500).json({ error: 'Server error' });
+    console.error('❌ Error uploading attendance PDF:', error);
+    res.status(500).json({ error: 'Failed to upload PDF' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Versioned JSON API for integrations (ERP scripts, mobile app).
+// Uses JWT bearer tokens instead of session cookies. Successful responses are
+// { data, pagination? } and errors are { error: { code, message } }.
+// ---------------------------------------------------------------------------
+
+// There is deliberately no default: anyone who knew it could sign an admin token
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const API_MAX_PER_PAGE = 100;
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+// Current details of a token holder, or null if the account is gone, disabled or archived
+async function loadApiUser(type, id) {
+  if (type === 'admin') {
+    if (!ObjectId.isValid(id)) return null;
+    const admin = await db.collection('admin_users').findOne({ _id: new ObjectId(id) });
+    if (!admin || admin.active === false) return null;
+    return { id: admin._id.toString(), type: 'admin', name: admin.name || 'Admin', email: admin.email, role: admin.role };
+  }
+
+  const student = await db.collection('students').findOne({ student_id: id, ...ACTIVE_STUDENT_FILTER });
+  if (!student) return null;
+  return { id: student.student_id, type: 'student', name: student.name, email: student.email };
+}
+
+// Sign an access token and a refresh token; refresh tokens are tracked so they can be rotated and revoked
+async function issueApiTokens(user) {
+  const jti = crypto.randomBytes(24).toString('hex');
+
+  await db.collection('api_refresh_tokens').insertOne({
+    jti: jti,
+    user_id: user.id,
+    user_type: user.type,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+    created_at: new Date()
+  });
+
+  return {
+    token_type: 'Bearer',
+    access_token: jwt.sign(
+      { sub: user.id, type: user.type, name: user.name, email: user.email, role: user.role, token_use: 'access' },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    ),
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: jwt.sign(
+      { sub: user.id, type: user.type, token_use: 'refresh' },
+      JWT_SECRET,
+      { expiresIn: REFRESH_TOKEN_TTL_SECONDS, jwtid: jti }
+    )
+  };
+}
+
+// Read page and per_page from the query string
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(query.per_page, 10) || 20, 1), API_MAX_PER_PAGE);
+  return { page, perPage };
+}
+
+// Date filter for from/to query parameters, or null when either one is not a date
+function parseApiDateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(String(from));
+  if (to) range.$lte = new Date(String(to));
+  return Object.values(range).some(date => isNaN(date)) ? null : range;
+}
+
+async function findPaginated(collectionName, filter, { sort, projection }, query) {
+  const { page, perPage } = parsePagination(query);
+  const [data, total] = await Promise.all([
+    db.collection(collectionName)
+      .find(filter, { projection })
+      .sort(sort)
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .toArray(),
+    db.collection(collectionName).countDocuments(filter)
+  ]);
+
+  return {
+    data,
+    pagination: { page, per_page: perPage, total, total_pages: Math.ceil(total / perPage) }
+  };
+}
+
+// Middleware: require a valid access token, optionally limited to some user types.
+// The holder is looked up on every request so disabled or demoted accounts lose access at once.
+const requireApiAuth = (...userTypes) => async (req, res, next) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return apiError(res, 401, 'unauthorized', 'Missing bearer token');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (error) {
+    return apiError(res, 401, 'invalid_token', 'Access token is invalid or expired');
+  }
+  if (payload.token_use !== 'access') {
+    return apiError(res, 401, 'invalid_token', 'Access token is invalid or expired');
+  }
+  if (userTypes.length > 0 && !userTypes.includes(payload.type)) {
+    return apiError(res, 403, 'forbidden', 'This endpoint is not available to your account type');
   }
+
+  try {
+    const user = await loadApiUser(payload.type, payload.sub);
+    if (!user) {
+      return apiError(res, 403, 'account_disabled', 'This account is no longer active');
+    }
+    req.apiUser = user;
+  } catch (error) {
+    console.error('❌ API auth error:', error);
+    return apiError(res, 500, 'server_error', 'Failed to check access token');
+  }
+  next();
+};
+
+// Middleware: admin tokens must have a role that can access the area; student tokens pass through
+const requireApiPermission = (area) => (req, res, next) => {
+  if (req.apiUser.type === 'student' || adminCan(req.apiUser.role, area)) {
+    return next();
+  }
+  apiError(res, 403, 'forbidden', 'Your role does not have access to this resource');
+};
+
+const apiV1 = express.Router();
+if (JWT_SECRET) {
+  app.use('/api/v1', apiV1);
+} else {
+  console.log('⚠️  JWT_SECRET is not set. The /api/v1 API is disabled.');
+}
+
+apiV1.use((req, res, next) => {
+  if (!db) {
+    return apiError(res, 503, 'service_unavailable', 'Database not available');
+  }
+  next();
 });
 
-// Student dashboard
-app.get('/student/dashboard', requireStudent, checkDatabase, async (req, res) => {
-  const studentId = req.session.studentId;
-  
+// Student token: student ID and password
+apiV1.post('/auth/student', async (req, res) => {
+  const { student_id, password } = req.body;
+
   try {
-    const [student, tasks, attendance, documents] = await Promise.all([
-      db.collection('students').findOne({ student_id: studentId }),
-      db.collection('tasks').find({ student_id: studentId }).sort({ created_at: -1 }).limit(5).toArray(),
-      db.collection('attendance').find({ student_id: studentId }).sort({ date: -1 }).limit(5).toArray(),
-      db.collection('documents').find({}).sort({ created_at: -1 }).limit(3).toArray()
-    ]);
+    if (!student_id || !password) {
+      return apiError(res, 400, 'validation_error', 'student_id and password are required');
+    }
 
-    if (!student) {
-      req.session.destroy();
-      return res.redirect('/student-login');
+    const accountKey = loginAccountKey('student', student_id);
+    const lock = await findLoginLock(req, accountKey);
+    if (lock) {
+      res.set('Retry-After', String(retryAfterSeconds(lock)));
+      return apiError(res, 429, 'too_many_attempts', loginLockMessage(lock));
     }
 
-    res.render('student-dashboard', {
-      student,
-      tasks: tasks || [],
-      attendance: attendance || [],
-      documents: documents || [],
-      studentName: req.session.studentName
-    });
+    const student = await db.collection('students').findOne({ student_id: student_id, ...ACTIVE_STUDENT_FILTER });
+    if (!student || !await bcrypt.compare(password, student.password)) {
+      await recordLoginFailure(req, accountKey, student);
+      return apiError(res, 401, 'invalid_credentials', 'Invalid student ID or password');
+    }
+    await clearLoginFailures(accountKey);
+    if (student.must_change_password) {
+      return apiError(res, 403, 'password_change_required', 'Log in to the portal and change your password first');
+    }
+
+    res.json({ data: await issueApiTokens(await loadApiUser('student', student.student_id)) });
   } catch (error) {
-    console.error('❌ Error loading student dashboard:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API student auth error:', error);
+    apiError(res, 500, 'server_error', 'Authentication failed');
   }
 });
 
-// Student assessments
-app.get('/student/assessments', requireStudent, async (req, res) => {
+// Admin token step 1: check the password and email an OTP, same as the web login
+apiV1.post('/auth/admin', async (req, res) => {
+  const { email, password } = req.body;
+
   try {
-    res.render('student-assessments', { 
-      studentName: req.session.studentName 
-    });
+    if (!email || !password) {
+      return apiError(res, 400, 'validation_error', 'email and password are required');
+    }
+
+    const accountKey = loginAccountKey('admin', email);
+    const lock = await findLoginLock(req, accountKey);
+    if (lock) {
+      res.set('Retry-After', String(retryAfterSeconds(lock)));
+      return apiError(res, 429, 'too_many_attempts', loginLockMessage(lock));
+    }
+
+    const admin = await db.collection('admin_users').findOne({ email: email });
+    if (!admin || admin.active === false || !await bcrypt.compare(password, admin.password)) {
+      await recordLoginFailure(req, accountKey, admin);
+      return apiError(res, 401, 'invalid_credentials', 'Invalid credentials');
+    }
+
+    const { emailSent } = await sendAdminLoginOtp(email);
+    if (!emailSent) {
+      return apiError(res, 500, 'email_failed', 'Failed to send OTP email');
+    }
+
+    res.status(202).json({ data: { otp_required: true, message: 'OTP sent to your email' } });
   } catch (error) {
-    console.error('❌ Error loading assessments:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API admin auth error:', error);
+    apiError(res, 500, 'server_error', 'Authentication failed');
   }
 });
 
-// Student tickets
-app.get('/student/tickets', requireStudent, async (req, res) => {
+// Admin token step 2: exchange the OTP for tokens
+apiV1.post('/auth/admin/verify', async (req, res) => {
+  const { email, otp } = req.body;
+
   try {
-    res.render('student-tickets', { 
-      studentName: req.session.studentName 
-    });
+    if (!email || !otp) {
+      return apiError(res, 400, 'validation_error', 'email and otp are required');
+    }
+
+    const accountKey = loginAccountKey('admin', email);
+    const lock = await findLoginLock(req, accountKey);
+    if (lock) {
+      res.set('Retry-After', String(retryAfterSeconds(lock)));
+      return apiError(res, 429, 'too_many_attempts', loginLockMessage(lock));
+    }
+
+    const otpResult = await checkOtpAttempt('admin_otps', { email: email }, otp);
+    const admin = await db.collection('admin_users').findOne({ email: email });
+    if (otpResult !== 'valid' || !admin) {
+      await recordLoginFailure(req, accountKey, admin);
+      return otpResult === 'exhausted'
+        ? apiError(res, 401, 'otp_attempts_exceeded', 'Too many wrong codes. Request a new OTP.')
+        : apiError(res, 401, 'invalid_otp', 'Invalid or expired OTP');
+    }
+
+    await db.collection('admin_otps').deleteMany({ email: email });
+    await clearLoginFailures(accountKey);
+    const user = await loadApiUser('admin', admin._id.toString());
+    if (!user) {
+      return apiError(res, 403, 'account_disabled', 'This account has been disabled');
+    }
+
+    res.json({ data: await issueApiTokens(user) });
   } catch (error) {
-    console.error('❌ Error loading tickets:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API OTP verification error:', error);
+    apiError(res, 500, 'server_error', 'Authentication failed');
   }
 });
 
-// Student attendance view
-app.get('/student/attendance', requireStudent, async (req, res) => {
+// Swap a refresh token for a new token pair; the old refresh token stops working
+apiV1.post('/auth/refresh', async (req, res) => {
   try {
-    res.render('student-attendance', { 
-      studentName: req.session.studentName 
-    });
+    let payload;
+    try {
+      payload = jwt.verify(req.body.refresh_token || '', JWT_SECRET, { algorithms: ['HS256'] });
+    } catch (error) {
+      return apiError(res, 401, 'invalid_token', 'Refresh token is invalid or expired');
+    }
+
+    const stored = payload.token_use === 'refresh'
+      ? await db.collection('api_refresh_tokens').findOneAndDelete({ jti: payload.jti })
+      : null;
+    if (!stored) {
+      return apiError(res, 401, 'invalid_token', 'Refresh token is invalid or expired');
+    }
+
+    const user = await loadApiUser(payload.type, payload.sub);
+    if (!user) {
+      return apiError(res, 403, 'account_disabled', 'This account is no longer active');
+    }
+
+    res.json({ data: await issueApiTokens(user) });
   } catch (error) {
-    console.error('❌ Error loading attendance:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API token refresh error:', error);
+    apiError(res, 500, 'server_error', 'Failed to refresh token');
   }
 });
 
-// API to get student's attendance data
-app.get('/api/student/attendance', requireStudent, checkDatabase, async (req, res) => {
+// Revoke a refresh token
+apiV1.post('/auth/revoke', async (req, res) => {
   try {
-    const studentId = req.session.studentId;
-    
-    const attendance = await db.collection('attendance')
-      .find({ student_id: studentId })
-      .sort({ date: -1 })
-      .toArray();
-    
-    res.json({ success: true, attendance });
+    const payload = jwt.decode(req.body.refresh_token || '');
+    if (payload && payload.jti) {
+      await db.collection('api_refresh_tokens').deleteOne({ jti: payload.jti });
+    }
+    res.json({ data: { revoked: true } });
   } catch (error) {
-    console.error('❌ Error fetching student attendance:', error);
-    res.status(500).json({ error: 'Failed to fetch attendance data' });
+    console.error('❌ API token revoke error:', error);
+    apiError(res, 500, 'server_error', 'Failed to revoke token');
   }
 });
 
-// Student documents
-app.get('/student/documents', requireStudent, checkDatabase, async (req, res) => {
+// Profile of the token holder
+apiV1.get('/me', requireApiAuth(), async (req, res) => {
   try {
-    const documents = await db.collection('documents').find({}).sort({ created_at: -1 }).toArray();
-    res.render('student-documents', { documents, studentName: req.session.studentName });
+    if (req.apiUser.type === 'admin') {
+      return res.json({ data: req.apiUser });
+    }
+
+    const student = await db.collection('students').findOne(
+      { student_id: req.apiUser.id },
+      { projection: { password: 0 } }
+    );
+    if (!student) {
+      return apiError(res, 404, 'not_found', 'Student not found');
+    }
+    res.json({ data: student });
   } catch (error) {
-    console.error('❌ Error fetching documents:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API profile error:', error);
+    apiError(res, 500, 'server_error', 'Failed to fetch profile');
   }
 });
 
-// Student seniors connection
-app.get('/student/seniors', requireStudent, checkDatabase, async (req, res) => {
+// List students
+apiV1.get('/students', requireApiAuth('admin'), requireApiPermission('students'), async (req, res) => {
   try {
-    const seniors = await db.collection('seniors').find({ available_for_mentoring: true }).sort({ name: 1 }).toArray();
-    res.render('student-seniors', { seniors, studentName: req.session.studentName });
+    const { batch_year, department, q, archived } = req.query;
+    const filter = archived === 'true' ? { archived: true } : { ...ACTIVE_STUDENT_FILTER };
+
+    // Query values are forced to strings so ?batch_year[$ne]=x cannot become an operator
+    if (batch_year) filter.batch_year = String(batch_year);
+    if (department) filter.department = String(department);
+    if (q) {
+      const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+      filter.$or = [{ student_id: pattern }, { name: pattern }, { email: pattern }];
+    }
+
+    res.json(await findPaginated('students', filter, { sort: { student_id: 1 }, projection: { password: 0 } }, req.query));
   } catch (error) {
-    console.error('❌ Error fetching seniors:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API students error:', error);
+    apiError(res, 500, 'server_error', 'Failed to fetch students');
   }
 });
 
-// Student profile
-app.get('/student/profile', requireStudent, checkDatabase, async (req, res) => {
-  const studentId = req.session.studentId;
-  
+// One student by roll number
+apiV1.get('/students/:studentId', requireApiAuth('admin'), requireApiPermission('students'), async (req, res) => {
   try {
-    const student = await db.collection('students').findOne({ student_id: studentId });
-    
+    const student = await db.collection('students').findOne(
+      { student_id: req.params.studentId },
+      { projection: { password: 0 } }
+    );
     if (!student) {
-      return res.status(404).send('Student not found');
+      return apiError(res, 404, 'not_found', 'Student not found');
     }
-    
-    res.render('student-profile', { 
-      student: student, 
-      studentName: req.session.studentName 
-    });
+    res.json({ data: student });
   } catch (error) {
-    console.error('❌ Error fetching student profile:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API student error:', error);
+    apiError(res, 500, 'server_error', 'Failed to fetch student');
   }
 });
 
-// Update student profile
-app.post('/student/profile', requireStudent, checkDatabase, async (req, res) => {
-  const studentId = req.session.studentId;
-  const { name, email, phone, course, year } = req.body;
-  
+// Create a student; the password is only returned when the welcome email could not be sent
+apiV1.post('/students', requireApiAuth('admin'), requireApiPermission('students'), async (req, res) => {
+  const { roll_num, name } = req.body;
+  const email = String(req.body.email || '').trim().toLowerCase();
+
   try {
-    await db.collection('students').updateOne(
-      { student_id: studentId },
-      { 
-        $set: { 
-          name: name, 
-          email: email, 
-          phone: phone, 
-          course: course, 
-          year: year,
-          updated_at: new Date()
-        }
+    const validationError = validateStudentInput({ ...req.body, email });
+    if (validationError) {
+      return apiError(res, 400, 'validation_error', validationError);
+    }
+
+    const placement = await resolveStudentPlacement(req.body);
+    if (placement.error) {
+      return apiError(res, 400, 'validation_error', placement.error);
+    }
+    const { department, batch_year, year } = placement;
+
+    const existingStudent = await findStudentByRollOrEmail(roll_num, email);
+    if (existingStudent) {
+      return apiError(res, 409, 'conflict', 'Student with this roll number or email already exists');
+    }
+
+    const { password, emailSent } = await createStudentAccount({ roll_num, name, department, email, batch_year, year }, req);
+    await recordAudit(req, {
+      action: 'student.create',
+      targetType: 'student',
+      targetId: roll_num,
+      label: name,
+      studentIds: [roll_num],
+      after: { roll_num, name, department, email, batch_year }
+    });
+
+    res.status(201).json({
+      data: {
+        student_id: roll_num,
+        email_sent: emailSent,
+        ...(emailSent ? {} : { password })
       }
-    );
-    
-    req.session.studentName = name;
-    res.json({ success: true, message: 'Profile updated successfully' });
+    });
   } catch (error) {
-    console.error('❌ Error updating profile:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+    console.error('❌ API create student error:', error);
+    apiError(res, 500, 'server_error', 'Failed to create student');
   }
 });
 
-// Student logout
-app.post('/student/logout', (req, res) => {
-  console.log('🔓 Student logout:', req.session.studentId);
-  req.session.destroy();
-  res.json({ success: true });
-});
-
-// API Routes for admin
-app.get('/api/admin/stats', requireAdmin, checkDatabase, async (req, res) => {
+// Attendance records; students only see their own
+apiV1.get('/attendance', requireApiAuth(), requireApiPermission('attendance'), async (req, res) => {
   try {
-    const [totalStudents, totalTasks, pendingTasks, totalDocuments] = await Promise.all([
-      db.collection('students').countDocuments(),
-      db.collection('tasks').countDocuments(),
-      db.collection('tasks').countDocuments({ status: 'pending' }),
-      db.collection('documents').countDocuments()
-    ]);
+    const { student_id, batch, subject, status, from, to } = req.query;
+    const filter = {};
 
-    res.json({
-      totalStudents,
-      totalTasks,
-      pendingTasks,
-      totalDocuments
-    });
+    if (req.apiUser.type === 'student') {
+      filter.student_id = req.apiUser.id;
+    } else if (student_id) {
+      filter.student_id = String(student_id);
+    }
+    if (batch) filter.batch = String(batch);
+    if (subject) filter.subject = String(subject);
+    if (status) filter.status = String(status);
+    if (from || to) {
+      filter.date = parseApiDateRange(from, to);
+      if (!filter.date) {
+        return apiError(res, 400, 'validation_error', 'from and to must be dates such as 2025-01-31');
+      }
+    }
+
+    res.json(await findPaginated('attendance', filter, { sort: { date: -1, student_id: 1 } }, req.query));
   } catch (error) {
-    console.error('❌ Error fetching stats:', error);
-    res.status(500).json({ error: 'Server error' });
+    console.error('❌ API attendance error:', error);
+    apiError(res, 500, 'server_error', 'Failed to fetch attendance');
   }
 });
 
-// Admin attendance management
-app.get('/admin/attendance', requireAdmin, async (req, res) => {
+// Mark or overwrite attendance for one class, same rules as the admin page
+apiV1.post('/attendance', requireApiAuth('admin'), requireApiPermission('attendance'), async (req, res) => {
   try {
-    res.render('admin-attendance');
+    const { error, records } = await saveAttendanceSession(req.body, req);
+    if (error) {
+      return apiError(res, 400, 'validation_error', error);
+    }
+    res.status(201).json({ data: { saved: records.length } });
   } catch (error) {
-    console.error('❌ Error loading attendance page:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API save attendance error:', error);
+    apiError(res, 500, 'server_error', 'Failed to save attendance');
   }
 });
 
-// Admin document management
-app.get('/admin/documents', requireAdmin, checkDatabase, async (req, res) => {
+// Attendance percentages, as on the reports page
+apiV1.get('/attendance/summary', requireApiAuth('admin'), requireApiPermission('attendance'), async (req, res) => {
   try {
-    const documents = await db.collection('documents').find({}).sort({ created_at: -1 }).toArray();
-    res.render('admin-documents', { documents });
+    const filters = parseAttendanceReportQuery(req.query);
+    if (filters.error) {
+      return apiError(res, 400, 'validation_error', filters.error);
+    }
+    res.json({ data: await buildAttendanceReport(filters), filters });
   } catch (error) {
-    console.error('❌ Error loading documents page:', error);
-    res.status(500).send('Server error');
+    console.error('❌ API attendance summary error:', error);
+    apiError(res, 500, 'server_error', 'Failed to build attendance summary');
   }
 });
 
-// Upload document
-app.post('/admin/documents/upload', requireAdmin, checkDatabase, async (req, res) => {
+// Course documents
+apiV1.get('/documents', requireApiAuth(), requireApiPermission('documents'), async (req, res) => {
   try {
-    const { title, description, category } = req.body;
-    
-    // In a real implementation, you would handle file upload here
-    const documentDoc = {
-      title: title,
-      description: description,
-      category: category,
-      filename: 'sample-document.pdf', // This would be the actual uploaded filename
-      file_path: '/uploads/documents/', // This would be the actual file path
-      uploaded_by: 'Admin',
-      created_at: new Date()
-    };
-    
-    await db.collection('documents').insertOne(documentDoc);
-    res.json({ success: true, message: 'Document uploaded successfully' });
+    const filter = req.query.category ? { category: String(req.query.category) } : {};
+    res.json(await findPaginated('documents', filter, {
+      sort: { created_at: -1 },
+      projection: { file_path: 0, filename: 0 }
+    }, req.query));
   } catch (error) {
-    console.error('❌ Error uploading document:', error);
-    res.status(500).json({ error: 'Failed to upload document' });
+    console.error('❌ API documents error:', error);
+    apiError(res, 500, 'server_error', 'Failed to fetch documents');
   }
 });
 
-// Save attendance
-app.post('/admin/attendance/save', requireAdmin, checkDatabase, async (req, res) => {
+// Download a document file
+apiV1.get('/documents/:id/download', requireApiAuth(), requireApiPermission('documents'), async (req, res) => {
   try {
-    const { date, subject, batch, time, attendance } = req.body;
-    
-    if (!date || !subject || !batch || !time || !attendance) {
-      return res.status(400).json({ error: 'All fields are required' });
+    if (!ObjectId.isValid(req.params.id)) {
+      return apiError(res, 404, 'not_found', 'Document not found');
     }
 
-    // Delete existing attendance for the same date, subject, and batch
-    await db.collection('attendance').deleteMany({
-      date: new Date(date),
-      subject: subject,
-      batch: batch
-    });
-    
-    // Save attendance records for each student
-    const attendanceRecords = Object.entries(attendance).map(([studentId, status]) => ({
-      student_id: studentId,
-      date: new Date(date),
-      subject: subject,
-      batch: batch,
-      time: time,
-      status: status,
-      marked_by: 'Admin',
-      created_at: new Date()
-    }));
-    
-    await db.collection('attendance').insertMany(attendanceRecords);
-    console.log(`✅ Attendance saved for ${attendanceRecords.length} students`);
-    res.json({ success: true, message: 'Attendance saved successfully' });
+    const document = await db.collection('documents').findOne({ _id: new ObjectId(req.params.id) });
+    if (!document || !document.file_path || !fs.existsSync(document.file_path)) {
+      return apiError(res, 404, 'not_found', 'Document not found');
+    }
+
+    if (req.apiUser.type === 'student') {
+      await db.collection('documents').updateOne({ _id: document._id }, { $inc: { download_count: 1 } });
+    }
+    res.download(path.resolve(document.file_path), document.original_name || document.filename);
   } catch (error) {
-    console.error('❌ Error saving attendance:', error);
-    res.status(500).json({ error: 'Failed to save attendance' });
+    console.error('❌ API document download error:', error);
+    apiError(res, 500, 'server_error', 'Failed to download document');
   }
 });
 
-// Get students by batch for attendance
-app.get('/api/admin/students-by-batch', requireAdmin, checkDatabase, async (req, res) => {
+// Tasks; students only see their own
+apiV1.get('/tasks', requireApiAuth(), requireApiPermission('tasks'), async (req, res) => {
   try {
-    const { batch } = req.query;
-    
-    if (!batch) {
-      return res.status(400).json({ error: 'Batch parameter is required' });
+    const { assignment_id, student_id, status } = req.query;
+    const filter = {};
+
+    if (req.apiUser.type === 'student') {
+      filter.student_id = req.apiUser.id;
+    } else if (student_id) {
+      filter.student_id = String(student_id);
     }
-    
-    const students = await db.collection('students')
-      .find({ batch_year: batch })
-      .sort({ student_id: 1 })
-      .toArray();
-    
-    res.json(students);
+    if (status) filter.status = String(status);
+    if (assignment_id) {
+      if (!ObjectId.isValid(String(assignment_id))) {
+        return apiError(res, 400, 'validation_error', 'Invalid assignment_id');
+      }
+      filter.assignment_id = new ObjectId(String(assignment_id));
+    }
+
+    res.json(await findPaginated('tasks', filter, {
+      sort: { due_date: 1 },
+      projection: { 'submission.file.file_path': 0 }
+    }, req.query));
   } catch (error) {
-    console.error('❌ Error fetching students by batch:', error);
-    res.status(500).json({ error: 'Failed to fetch students' });
+    console.error('❌ API tasks error:', error);
+    apiError(res, 500, 'server_error', 'Failed to fetch tasks');
   }
 });
 
-// Upload attendance PDF
-app.post('/admin/attendance/upload-pdf', requireAdmin, upload.single('attendancePdf'), async (req, res) => {
+// Dashboard counts
+apiV1.get('/stats', requireApiAuth('admin'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No PDF file uploaded' });
-    }
-    
-    const { date, subject, batch } = req.body;
-    
-    // Store PDF information in database
-    const pdfDoc = {
-      filename: req.file.filename,
-      original_name: req.file.originalname,
-      file_path: req.file.path,
-      date: new Date(date),
-      subject: subject,
-      batch: batch,
-      uploaded_by: 'Admin',
-      file_size: req.file.size,
-      created_at: new Date()
-    };
-    
-    await db.collection('attendance_pdfs').insertOne(pdfDoc);
-    console.log('✅ Attendance PDF uploaded:', req.file.filename);
-    
-    res.json({ success: true, message: 'PDF uploaded successfully' });
+    res.json({ data: await getDashboardStats() });
   } catch (error) {
-    console.error('❌ Error uploading attendance PDF:', error);
-    res.status(500).json({ error: 'Failed to upload PDF' });
+    console.error('❌ API stats error:', error);
+    apiError(res, 500, 'server_error', 'Failed to fetch stats');
   }
 });
 
+apiV1.use((req, res) => {
+  apiError(res, 404, 'not_found', 'Unknown API endpoint');
+});
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
@@ -917,24 +9233,40 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Start server
-connectToDatabase().then(() => {
-  app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📊 Admin Panel: http://localhost:${PORT}/admin`);
-    console.log(`🎓 Student Login: http://localhost:${PORT}/student-login`);
-    console.log(`💊 Health Check: http://localhost:${PORT}/health`);
+// Start server when run directly; the tests require this file and supply their own database
+if (require.main === module) {
+  connectToDatabase().then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on http://localhost:${PORT}`);
+      console.log(`📊 Admin Panel: http://localhost:${PORT}/admin`);
+      console.log(`🎓 Student Login: http://localhost:${PORT}/student-login`);
+      console.log(`🤝 Senior Login: http://localhost:${PORT}/senior-login`);
+      console.log(`💊 Health Check: http://localhost:${PORT}/health`);
     
-    if (!transporter) {
-      console.log('⚠️  Email not configured. Update .env file with EMAIL_USER and EMAIL_PASS');
-    }
-  });
-}).catch(error => {
-  console.error('❌ Failed to start server:', error);
-  app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT} (without database)`);
+      if (!transporter) {
+        console.log('⚠️  Email not configured. Update .env file with EMAIL_USER and EMAIL_PASS');
+      }
+    });
+
+    // Check every 15 minutes whether the daily absence digest is due
+    setInterval(runScheduledDigest, 15 * 60 * 1000);
+
+    // Retry queued emails that failed to send
+    setInterval(processEmailQueue, EMAIL_QUEUE_INTERVAL_MS);
+  }).catch(error => {
+    console.error('❌ Failed to start server:', error);
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on http://localhost:${PORT} (without database)`);
+    });
   });
-});
+}
+
+// Used by the tests to run the app against an in-memory database
+function useDatabase(database) {
+  db = database;
+}
+
+module.exports = { app, useDatabase, transporter, sendEmail, processEmailQueue };
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
@@ -0,0 +1,171 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.EMAIL_TRANSPORT = 'json';
+const { app, useDatabase } = require('../server');
+
+const db = createMemoryDb();
+const activeAdminId = new ObjectId();
+const disabledAdminId = new ObjectId();
+let server;
+let baseUrl;
+
+function accessToken(sub, type, options = {}) {
+  return jwt.sign({ sub, type, token_use: 'access' }, process.env.JWT_SECRET, { expiresIn: 900, ...options });
+}
+
+async function api(method, path, { token, body } = {}) {
+  const response = await fetch(`${baseUrl}/api/v1${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  useDatabase(db);
+
+  const password = await bcrypt.hash('secret-pass', 4);
+  await db.collection('students').insertMany([
+    { student_id: 'S1', name: 'First Student', email: 's1@gmail.com', password, batch_year: '2024-2028', must_change_password: false },
+    { student_id: 'S2', name: 'Second Student', email: 's2@gmail.com', password, batch_year: '2024-2028', must_change_password: false }
+  ]);
+  await db.collection('admin_users').insertMany([
+    { _id: activeAdminId, email: 'admin@example.com', name: 'Admin', role: 'super-admin', active: true },
+    { _id: disabledAdminId, email: 'gone@example.com', name: 'Gone', role: 'super-admin', active: false }
+  ]);
+  await db.collection('attendance').insertMany([
+    { student_id: 'S1', date: new Date('2025-01-10'), subject: 'Networks', batch: '2024-2028', status: 'present' },
+    { student_id: 'S1', date: new Date('2025-01-11'), subject: 'Networks', batch: '2024-2028', status: 'absent' },
+    { student_id: 'S2', date: new Date('2025-01-10'), subject: 'Networks', batch: '2024-2028', status: 'present' }
+  ]);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('a request without a token is rejected', async () => {
+  const { status, body } = await api('GET', '/me');
+  assert.equal(status, 401);
+  assert.equal(body.error.code, 'unauthorized');
+});
+
+test('an expired access token is rejected', async () => {
+  const { status, body } = await api('GET', '/me', { token: accessToken('S1', 'student', { expiresIn: -10 }) });
+  assert.equal(status, 401);
+  assert.equal(body.error.code, 'invalid_token');
+});
+
+test('a refresh token cannot be used as an access token', async () => {
+  const login = await api('POST', '/auth/student', { body: { student_id: 'S1', password: 'secret-pass' } });
+  assert.equal(login.status, 200);
+
+  const { status, body } = await api('GET', '/me', { token: login.body.data.refresh_token });
+  assert.equal(status, 401);
+  assert.equal(body.error.code, 'invalid_token');
+});
+
+test('a token signed with another secret is rejected', async () => {
+  const forged = jwt.sign({ sub: activeAdminId.toString(), type: 'admin', token_use: 'access' }, 'guessed-secret');
+  const { status } = await api('GET', '/stats', { token: forged });
+  assert.equal(status, 401);
+});
+
+test('a disabled admin loses access even with an unexpired token', async () => {
+  const { status, body } = await api('GET', '/me', { token: accessToken(disabledAdminId.toString(), 'admin') });
+  assert.equal(status, 403);
+  assert.equal(body.error.code, 'account_disabled');
+});
+
+test('an admin token carries the role stored now, not the one it was issued with', async () => {
+  await db.collection('admin_users').updateOne({ _id: activeAdminId }, { $set: { role: 'faculty' } });
+  try {
+    const { status } = await api('GET', '/students', { token: accessToken(activeAdminId.toString(), 'admin') });
+    assert.equal(status, 403);
+  } finally {
+    await db.collection('admin_users').updateOne({ _id: activeAdminId }, { $set: { role: 'super-admin' } });
+  }
+});
+
+test('refreshing rotates the refresh token and the old one stops working', async () => {
+  const login = await api('POST', '/auth/student', { body: { student_id: 'S1', password: 'secret-pass' } });
+  const firstRefresh = login.body.data.refresh_token;
+
+  const refreshed = await api('POST', '/auth/refresh', { body: { refresh_token: firstRefresh } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.data.refresh_token, firstRefresh);
+
+  const reused = await api('POST', '/auth/refresh', { body: { refresh_token: firstRefresh } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error.code, 'invalid_token');
+
+  const next = await api('POST', '/auth/refresh', { body: { refresh_token: refreshed.body.data.refresh_token } });
+  assert.equal(next.status, 200);
+});
+
+test('a student only ever sees their own attendance', async () => {
+  const token = accessToken('S1', 'student');
+
+  for (const query of ['', '?student_id=S2', '?student_id[$ne]=S1']) {
+    const { status, body } = await api('GET', `/attendance${query}`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 2, `query "${query}"`);
+    assert.ok(body.data.every(record => record.student_id === 'S1'), `query "${query}"`);
+  }
+});
+
+test('query filters are matched as text, never as operators', async () => {
+  const token = accessToken(activeAdminId.toString(), 'admin');
+
+  const all = await api('GET', '/attendance', { token });
+  assert.equal(all.body.data.length, 3);
+
+  const injected = await api('GET', '/attendance?status[$ne]=present', { token });
+  assert.equal(injected.status, 200);
+  assert.equal(injected.body.data.length, 0);
+
+  const students = await api('GET', '/students?batch_year[$ne]=none', { token });
+  assert.equal(students.status, 200);
+  assert.equal(students.body.data.length, 0);
+});
+
+test('attendance dates must be real dates', async () => {
+  const token = accessToken(activeAdminId.toString(), 'admin');
+
+  const invalid = await api('GET', '/attendance?from=not-a-date', { token });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error.code, 'validation_error');
+
+  const ranged = await api('GET', '/attendance?from=2025-01-11&to=2025-01-31', { token });
+  assert.equal(ranged.status, 200);
+  assert.equal(ranged.body.data.length, 1);
+});
+
+test('an attendance summary with an impossible period is refused, not empty', async () => {
+  const token = accessToken(activeAdminId.toString(), 'admin');
+
+  const invalid = await api('GET', '/attendance/summary?to=2025-13-45', { token });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error.code, 'validation_error');
+
+  const reversed = await api('GET', '/attendance/summary?from=2025-02-01&to=2025-01-01', { token });
+  assert.equal(reversed.status, 400);
+
+  const summary = await api('GET', '/attendance/summary?from=2025-01-01&to=2025-01-31&group_by=subject', { token });
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.data[0].total, 3);
+});
@@ -0,0 +1,106 @@
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+process.env.EMAIL_TRANSPORT = 'json';
+const { useDatabase, transporter, sendEmail, processEmailQueue } = require('../server');
+
+const MINUTE = 60 * 1000;
+let db;
+
+function failSending() {
+  return mock.method(transporter, 'sendMail', async () => {
+    throw new Error('Connection refused');
+  });
+}
+
+// Pretend the retry delay has passed
+async function makeDue(id) {
+  await db.collection('email_queue').updateOne({ _id: id }, { $set: { next_attempt_at: new Date(Date.now() - 1000) } });
+}
+
+async function queuedMessage() {
+  return db.collection('email_queue').findOne({});
+}
+
+before(() => {
+  assert.ok(transporter, 'EMAIL_TRANSPORT=json should create a transport');
+});
+
+beforeEach(() => {
+  db = createMemoryDb();
+  useDatabase(db);
+  mock.restoreAll();
+  // Keep the server's delivery logging and the expected stack traces out of the test output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+test('a failed send is queued, retried with a growing delay and delivered once the server is back', async () => {
+  const failing = failSending();
+  const startedAt = Date.now();
+
+  assert.equal(await sendEmail('student@gmail.com', 'Welcome', '<p>Your password is abc</p>'), false);
+  let message = await queuedMessage();
+  assert.equal(message.status, 'pending');
+  assert.equal(message.attempts, 1);
+  assert.equal(message.last_error, 'Connection refused');
+  assert.equal(message.html, '<p>Your password is abc</p>');
+  assert.ok(message.next_attempt_at - startedAt >= 1 * MINUTE);
+
+  // Nothing is due yet, so the worker leaves it alone
+  await processEmailQueue();
+  assert.equal(failing.mock.callCount(), 1);
+  assert.equal((await queuedMessage()).attempts, 1);
+
+  await makeDue(message._id);
+  const retriedAt = Date.now();
+  await processEmailQueue();
+  message = await queuedMessage();
+  assert.equal(failing.mock.callCount(), 2);
+  assert.equal(message.status, 'pending');
+  assert.equal(message.attempts, 2);
+  assert.ok(message.next_attempt_at - retriedAt >= 2 * MINUTE, 'the second delay is twice the first');
+
+  failing.mock.restore();
+  await makeDue(message._id);
+  await processEmailQueue();
+  message = await queuedMessage();
+  assert.equal(message.status, 'sent');
+  assert.equal(message.attempts, 3);
+  assert.ok(message.message_id);
+  assert.equal(message.html, undefined, 'the body is dropped once delivered');
+  assert.deepEqual(message.deliveries.map(delivery => delivery.ok), [false, false, true]);
+});
+
+test('a message that runs out of attempts is marked failed and its body removed', async () => {
+  failSending();
+
+  await sendEmail('student@gmail.com', 'Reset code', '<p>123456</p>');
+  let message = await queuedMessage();
+  while (message.status === 'pending') {
+    await makeDue(message._id);
+    await processEmailQueue();
+    message = await queuedMessage();
+  }
+
+  assert.equal(message.status, 'failed');
+  assert.equal(message.attempts, message.max_attempts);
+  assert.equal(message.html, undefined);
+  assert.equal(message.deliveries.length, message.max_attempts);
+});
+
+test('a code that expires while waiting is not sent late', async () => {
+  const failing = failSending();
+
+  await sendEmail('student@gmail.com', 'Login code', '<p>654321</p>', { expiresInMinutes: 10 });
+  const { _id } = await queuedMessage();
+  await db.collection('email_queue').updateOne({ _id }, { $set: { expires_at: new Date(Date.now() - 1000) } });
+  await makeDue(_id);
+  failing.mock.restore();
+
+  await processEmailQueue();
+  const message = await queuedMessage();
+  assert.equal(message.status, 'failed');
+  assert.equal(message.html, undefined);
+});
@@ -0,0 +1,192 @@
+// A small in-memory stand-in for the parts of the MongoDB driver the app uses,
+// so route tests run without a database server. Queries and updates are evaluated by mingo.
+const { ObjectId } = require('mongodb');
+const mingo = require('mingo');
+
+// Copy a stored document so callers can't change it in place, the way the driver returns fresh objects
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+class MemoryCursor {
+  constructor(docs, filter, options = {}) {
+    this.docs = docs;
+    this.filter = filter;
+    this.projection = options.projection;
+    this.sortSpec = options.sort;
+    this.skipCount = 0;
+    this.limitCount = 0;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    let cursor = mingo.find(this.docs, this.filter, this.projection && Object.keys(this.projection).length ? this.projection : undefined);
+    if (this.sortSpec) cursor = cursor.sort(this.sortSpec);
+    if (this.skipCount) cursor = cursor.skip(this.skipCount);
+    if (this.limitCount) cursor = cursor.limit(this.limitCount);
+    return cursor.all().map(clone);
+  }
+}
+
+class MemoryCollection {
+  constructor() {
+    this.docs = [];
+  }
+
+  matching(filter = {}, sort) {
+    let cursor = mingo.find(this.docs, filter);
+    if (sort) cursor = cursor.sort(sort);
+    return cursor.all();
+  }
+
+  // Apply an update to a stored document; $setOnInsert only counts when the document is new
+  applyUpdate(doc, update, inserting) {
+    const { $setOnInsert, ...modifier } = update;
+    if (Object.keys(modifier).length > 0) {
+      mingo.update(doc, modifier, undefined, undefined, { cloneMode: 'deep' });
+    }
+    if (inserting && $setOnInsert) {
+      mingo.update(doc, { $set: $setOnInsert });
+    }
+  }
+
+  // New document for an upsert, seeded with the plain equality fields of the filter
+  upsertDocument(filter, update) {
+    const doc = { _id: new ObjectId() };
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith('$') && !(value && typeof value === 'object' && Object.keys(value).some(k => k.startsWith('$')))) {
+        doc[key] = clone(value);
+      }
+    }
+    this.applyUpdate(doc, update, true);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(this.docs, filter, options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await new MemoryCursor(this.docs, filter, options).limit(1).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}, options = {}) {
+    const count = this.matching(filter).length;
+    return options.limit ? Math.min(count, options.limit) : count;
+  }
+
+  async distinct(field, filter = {}) {
+    return [...new Set(this.matching(filter).map(doc => doc[field]))];
+  }
+
+  async insertOne(doc) {
+    doc._id = doc._id || new ObjectId();
+    this.docs.push(clone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.matching(filter);
+    if (doc) {
+      this.applyUpdate(doc, update, false);
+      return { matchedCount: 1, modifiedCount: 1, upsertedId: null };
+    }
+    if (options.upsert) {
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: this.upsertDocument(filter, update)._id };
+    }
+    return { matchedCount: 0, modifiedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.matching(filter);
+    docs.forEach(doc => this.applyUpdate(doc, update, false));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = this.matching(filter, options.sort);
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = this.upsertDocument(filter, update);
+      return options.returnDocument === 'after' ? clone(inserted) : null;
+    }
+    const before = clone(doc);
+    this.applyUpdate(doc, update, false);
+    return options.returnDocument === 'after' ? clone(doc) : before;
+  }
+
+  async findOneAndDelete(filter) {
+    const [doc] = this.matching(filter);
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.matching(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = new Set(this.matching(filter));
+    this.docs = this.docs.filter(doc => !docs.has(doc));
+    return { deletedCount: docs.size };
+  }
+
+  aggregate(pipeline) {
+    return { toArray: async () => mingo.aggregate(this.docs, pipeline).map(clone) };
+  }
+
+  async createIndex() {
+    return 'index';
+  }
+}
+
+function createMemoryDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection());
+      }
+      return collections.get(name);
+    }
+  };
+}
+
+module.exports = { createMemoryDb };
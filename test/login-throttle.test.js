@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { createMemoryDb } = require('./helpers/memory-db');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.EMAIL_TRANSPORT = 'json';
+const { app, useDatabase } = require('../server');
+
+const db = createMemoryDb();
+let server;
+let baseUrl;
+
+function studentLogin(student_id, password) {
+  return fetch(`${baseUrl}/api/v1/auth/student`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ student_id, password })
+  });
+}
+
+before(async () => {
+  useDatabase(db);
+  await db.collection('students').insertOne({
+    student_id: 'S1',
+    name: 'First Student',
+    email: 's1@gmail.com',
+    password: await bcrypt.hash('secret-pass', 4),
+    must_change_password: false
+  });
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('a busy IP is asked to wait with Retry-After instead of being held open or locked out', async () => {
+  await db.collection('login_throttle').insertOne({
+    key: 'ip:127.0.0.1',
+    kind: 'ip',
+    label: '127.0.0.1',
+    failures: 60,
+    window_started_at: new Date(),
+    last_failure_at: new Date(),
+    lockouts: 0,
+    locked_until: null
+  });
+
+  const startedAt = Date.now();
+  const response = await studentLogin('S1', 'secret-pass');
+  assert.equal(response.status, 429);
+  assert.ok(Date.now() - startedAt < 2000, 'the response is not delayed on the server');
+  const retryAfter = Number(response.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 10, `Retry-After was ${retryAfter}`);
+
+  // Once the wait is over the same address can log in again
+  await db.collection('login_throttle').updateOne(
+    { key: 'ip:127.0.0.1' },
+    { $set: { last_failure_at: new Date(Date.now() - 60 * 1000) } }
+  );
+  assert.equal((await studentLogin('S1', 'secret-pass')).status, 200);
+});
+
+test('an account is locked after repeated failures and the lock reports when to retry', async () => {
+  await db.collection('login_throttle').deleteMany({});
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await studentLogin('S1', 'wrong-pass')).status, 401);
+  }
+
+  const response = await studentLogin('S1', 'secret-pass');
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 60);
+});